@@ -0,0 +1,217 @@
+"use strict";
+
+// Board quality analyser: rolls N boards per dice set, solves them, and reports
+// word count and score distributions (the averageScore field of dice_sets.json).
+
+const fs = require("fs");
+const path = require("path");
+
+const { DICE_SETS, getDiceSet, createSeededRandom, generateBoard } = require("./boggle_pl");
+const { defaultWorkerCount, solveBoards } = require("./batch_solver");
+const { getScoringForBoardSize, pointsForWord } = require("./scoring");
+const { nowNs, formatTime, loadOrBuildTrie } = require("./dictionary_loader");
+const { DICTIONARIES, resolveDictionary, normalizeBoard } = require("./dictionaries");
+
+const DICE_SETS_FILE = path.join(__dirname, "dice_sets.json");
+
+/**
+ * Summary statistics of a list of numbers.
+ * @returns {{ mean: number, min: number, p10: number, median: number, p90: number, max: number }}
+ */
+function summarize(values) {
+	const sorted = values.slice().sort((a, b) => a - b);
+	const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+	const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+	return { mean, min: sorted[0], p10: at(0.1), median: at(0.5), p90: at(0.9), max: sorted[sorted.length - 1] };
+}
+
+/**
+ * Roll and solve boards for one dice set.
+ * @param {{ id: string, rows: number, cols: number, dice: string[][] }} set
+ * @param {object} trie a Dawg
+ * @param {{ boards: number, random?: function(number): number, normalize?: function(string): string, workers?: number }} options
+ *   normalize: the dictionary's normalizer, applied to the dice faces
+ *   workers: solver threads (see solveBoards in batch_solver.js)
+ * @returns {Promise<{ id: string, boards: number, empty: number, words: object, score: object }>}
+ */
+async function analyzeDiceSet(set, trie, options) {
+	const size = { rows: set.rows, cols: set.cols };
+	const scoring = getScoringForBoardSize(size);
+	const dice = options.normalize ? normalizeBoard(set.dice, options.normalize) : set.dice;
+	// Roll every board first, then solve them as one batch
+	const boards = [];
+	for (let i = 0; i < options.boards; i += 1) {
+		boards.push(generateBoard(dice, size, { random: options.random }));
+	}
+	const solved = await solveBoards(boards, trie, { workers: options.workers, minLength: scoring.minLength });
+	const wordCounts = solved.map((words) => words.length);
+	const scores = solved.map((words) => words.reduce((sum, word) => sum + pointsForWord(word, scoring), 0));
+	return {
+		id: set.id,
+		boards: options.boards,
+		empty: wordCounts.filter((n) => n === 0).length,
+		words: summarize(wordCounts),
+		score: summarize(scores),
+	};
+}
+
+/**
+ * Write mean scores back into the averageScore fields of dice_sets.json, keeping its layout.
+ */
+function writeAverageScores(reports) {
+	let text = fs.readFileSync(DICE_SETS_FILE, "utf8");
+	for (const report of reports) {
+		const pattern = new RegExp(`("id": "${report.id}",[\\s\\S]*?"averageScore": )[^,\\n]+`);
+		text = text.replace(pattern, `$1${Number(report.score.mean.toFixed(2))}`);
+	}
+	fs.writeFileSync(DICE_SETS_FILE, text);
+}
+
+function printReports(reports) {
+	const fmt = (s) => [s.mean.toFixed(2), s.min, s.p10, s.median, s.p90, s.max].map((v) => String(v).padStart(7, " ")).join("");
+	const columns = ["mean", "min", "p10", "median", "p90", "max"].map((c) => c.padStart(7, " ")).join("");
+	console.log(`${"Dice set".padEnd(14, " ")}${"Boards".padStart(7, " ")}${"Empty".padStart(7, " ")}  |  Words${columns}  |  Score${columns}`);
+	for (const r of reports) {
+		console.log(`${r.id.padEnd(14, " ")}${String(r.boards).padStart(7, " ")}${String(r.empty).padStart(7, " ")}  |       ${fmt(r.words)}  |       ${fmt(r.score)}`);
+	}
+}
+
+function showHelp() {
+	console.log(`
+Boggle Board Analyser
+
+USAGE:
+  node analyze_boards.js [OPTIONS] [LANG=DICTIONARY_FILE ...]
+
+OPTIONS:
+  -h, --help          Show this help message
+  -v, --verbose       Show cache operations
+  -n N                Boards to roll per dice set (default: 1000)
+  -j N                Solver threads (default: ${defaultWorkerCount()}, one per CPU; 0 solves
+                      on the main thread)
+  --dice ID[,ID...]   Dice sets to analyse (default: every set with a dictionary)
+  --seed SEED         Roll reproducible boards
+  --json              Print the reports as JSON
+  --write             Store each mean score as averageScore in dice_sets.json
+
+DICTIONARIES:
+  Each dice set uses the dictionary of its language; defaults from dictionaries.js.
+
+EXAMPLES:
+  node analyze_boards.js --dice pol44,pol55 -n 500
+  node analyze_boards.js -n 10000 -j 4
+  node analyze_boards.js --seed 1 --write eng=words.txt
+`);
+	process.exit(0);
+}
+
+async function main() {
+	const args = process.argv.slice(2);
+	if (args.includes("-h") || args.includes("--help")) {
+		showHelp();
+	}
+
+	const options = { boards: 1000, workers: defaultWorkerCount(), diceIds: null, seed: null, json: false, write: false, verbose: false, dictionaries: {} };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === "-v" || arg === "--verbose") {
+			options.verbose = true;
+		} else if (arg === "-n") {
+			options.boards = Number(args[++i]);
+			if (!Number.isInteger(options.boards) || options.boards < 1) {
+				console.error("Error: -n must be a positive integer");
+				process.exit(1);
+			}
+		} else if (arg === "-j") {
+			options.workers = Number(args[++i]);
+			if (!Number.isInteger(options.workers) || options.workers < 0) {
+				console.error("Error: -j must be a non-negative integer");
+				process.exit(1);
+			}
+		} else if (arg === "--dice") {
+			options.diceIds = String(args[++i] || "").split(",").filter(Boolean);
+		} else if (arg === "--seed") {
+			options.seed = args[++i];
+		} else if (arg === "--json") {
+			options.json = true;
+		} else if (arg === "--write") {
+			options.write = true;
+		} else if (/^[a-z]+=.+/.test(arg)) {
+			const eq = arg.indexOf("=");
+			const lang = arg.slice(0, eq);
+			if (!DICTIONARIES[lang]) {
+				console.error(`Error: Unknown language: ${lang} (known: ${Object.keys(DICTIONARIES).join(", ")})`);
+				process.exit(1);
+			}
+			options.dictionaries[lang] = path.resolve(arg.slice(eq + 1));
+		} else {
+			console.error(`Error: Unknown argument: ${arg}`);
+			console.error("Use -h or --help for usage information");
+			process.exit(1);
+		}
+	}
+
+	const dictionaries = {};
+	for (const code of Object.keys(DICTIONARIES)) {
+		dictionaries[code] = resolveDictionary(code, { file: options.dictionaries[code] });
+	}
+	let sets;
+	if (options.diceIds) {
+		sets = options.diceIds.map((id) => {
+			const set = getDiceSet(id);
+			if (!set) {
+				console.error(`Error: Unknown dice set: ${id}`);
+				process.exit(1);
+			}
+			return set;
+		});
+	} else {
+		sets = DICE_SETS.sets.filter((set) => dictionaries[set.language] && fs.existsSync(dictionaries[set.language].path));
+	}
+
+	const tries = new Map();
+	const reports = [];
+	for (const set of sets) {
+		const dictionary = dictionaries[set.language];
+		if (dictionary && !tries.has(set.language)) {
+			tries.set(set.language, await loadOrBuildTrie(dictionary.path, options.verbose, dictionary));
+		}
+		const trie = tries.get(set.language);
+		if (!trie) {
+			console.error(`Error: No dictionary for ${set.language} (dice set ${set.id})`);
+			process.exit(1);
+		}
+		const t0 = nowNs();
+		const random = options.seed !== null ? createSeededRandom(`${options.seed}/${set.id}`) : undefined;
+		reports.push(await analyzeDiceSet(set, trie, {
+			boards: options.boards,
+			random,
+			normalize: dictionary.normalize,
+			workers: options.workers,
+		}));
+		if (options.verbose) console.log(`${set.id}: ${options.boards} boards in ${formatTime(nowNs() - t0)}`);
+	}
+
+	if (reports.length === 0) {
+		console.error("Error: No dice sets to analyse (no dictionaries found)");
+		process.exit(1);
+	}
+	if (options.json) {
+		console.log(JSON.stringify(reports, null, 2));
+	} else {
+		printReports(reports);
+	}
+	if (options.write) {
+		writeAverageScores(reports);
+		console.log(`\nUpdated averageScore for ${reports.length} dice sets in ${DICE_SETS_FILE}`);
+	}
+}
+
+module.exports = {
+	summarize,
+	analyzeDiceSet,
+};
+
+if (require.main === module) {
+	main();
+}
@@ -0,0 +1,122 @@
+"use strict";
+
+// Batch solver: spreads many boards over worker_threads that all read one DAWG.
+// - The DAWG is copied once into a SharedArrayBuffer; workers view it in place (Dawg.fromBuffer
+//   with shared: true), so each extra thread costs no dictionary memory.
+// - Boards are handed out in small chunks as workers free up, so a few slow boards do not hold
+//   back a whole share.
+// - Results come back in input order, one sorted word list (sortWords) per board.
+
+const os = require("os");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+const { findWords, sortWords } = require("./boggle_pl");
+const { Dawg } = require("./dawg");
+
+const DEFAULT_CHUNK_SIZE = 16;
+
+const sharedBuffers = new WeakMap(); // Dawg -> SharedArrayBuffer holding its serialized form
+
+/**
+ * Threads to use by default: one per CPU the process may run on.
+ * @returns {number}
+ */
+function defaultWorkerCount() {
+	return typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * The DAWG serialized into a SharedArrayBuffer (made once per DAWG).
+ * @param {Dawg} dawg
+ * @returns {SharedArrayBuffer}
+ * @throws {Error} for object tries, which cannot be shared between threads
+ */
+function shareDawg(dawg) {
+	if (!(dawg instanceof Dawg)) {
+		throw new Error("batch solving needs a Dawg; object tries cannot be shared between threads");
+	}
+	if (!sharedBuffers.has(dawg)) {
+		const shared = Dawg.fromBuffer(dawg.toBuffer(), { shared: true });
+		sharedBuffers.set(dawg, shared.nodeEdgeStart.buffer);
+	}
+	return sharedBuffers.get(dawg);
+}
+
+function solveChunk(boards, dawg, solveOptions) {
+	return boards.map((board) => sortWords(findWords(board, dawg, solveOptions)));
+}
+
+/**
+ * Solve many boards, in parallel on worker threads.
+ * @param {string[][][]} boards
+ * @param {Dawg|object} dawg a Dawg; object tries only with workers: 0
+ * @param {{ workers?: number, chunkSize?: number, minLength?: number, rules?: object }} [options]
+ *   workers: threads to start (default: defaultWorkerCount(); 0 solves on this thread)
+ *   chunkSize: boards per message (default 16); minLength, rules: as for findWords
+ * @returns {Promise<string[][]>} sorted words of each board, in input order
+ */
+async function solveBoards(boards, dawg, options = {}) {
+	const solveOptions = { minLength: options.minLength || 3, rules: options.rules };
+	const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+	const requested = options.workers !== undefined ? options.workers : defaultWorkerCount();
+	if (!Number.isInteger(requested) || requested < 0) {
+		throw new Error(`workers must be a non-negative integer, got ${requested}`);
+	}
+	const workerCount = Math.min(requested, Math.ceil(boards.length / chunkSize));
+	if (workerCount === 0) {
+		return solveChunk(boards, dawg, solveOptions);
+	}
+	const shared = shareDawg(dawg);
+
+	const results = new Array(boards.length);
+	const workers = [];
+	let next = 0;
+	let pending = Math.ceil(boards.length / chunkSize);
+	try {
+		await new Promise((resolve, reject) => {
+			const dispatch = (worker) => {
+				if (next >= boards.length) return;
+				const start = next;
+				next += chunkSize;
+				worker.postMessage({ start, boards: boards.slice(start, next) });
+			};
+			for (let i = 0; i < workerCount; i += 1) {
+				const worker = new Worker(__filename, {
+					workerData: { batchSolver: true, dawg: shared, solveOptions },
+				});
+				worker.on("message", ({ start, words }) => {
+					for (let j = 0; j < words.length; j += 1) results[start + j] = words[j];
+					pending -= 1;
+					if (pending === 0) resolve();
+					else dispatch(worker);
+				});
+				worker.on("error", reject);
+				worker.on("exit", (code) => {
+					if (pending > 0) reject(new Error(`solver worker stopped with exit code ${code}`));
+				});
+				workers.push(worker);
+				dispatch(worker);
+			}
+		});
+	} finally {
+		await Promise.all(workers.map((worker) => worker.terminate()));
+	}
+	return results;
+}
+
+function runWorker() {
+	const dawg = Dawg.fromBuffer(new Uint8Array(workerData.dawg), { shared: true });
+	parentPort.on("message", ({ start, boards }) => {
+		parentPort.postMessage({ start, words: solveChunk(boards, dawg, workerData.solveOptions) });
+	});
+}
+
+if (!isMainThread && workerData && workerData.batchSolver) {
+	runWorker();
+}
+
+module.exports = {
+	defaultWorkerCount,
+	shareDawg,
+	solveBoards,
+};
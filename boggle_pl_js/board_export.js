@@ -0,0 +1,205 @@
+"use strict";
+
+// Printable boards for pencil-and-paper play: standalone SVG, and an HTML document laid out for
+// printing (or "Save as PDF") with the board, a scoring sheet per player and an answer key.
+// - Faces are sized to fit their cell, so multi-letter faces ("CZ", "QU") never overflow.
+// - The rotated copy shows the board as seen from across the table; M, W, N and Z are underlined
+//   there so they cannot be mistaken for each other upside down.
+// - Blocked cells of a variant (see compileRules in boggle_pl.js) are shaded.
+
+const { pointsForWord } = require("./scoring");
+
+const CELL_SIZE = 60;
+const BOARD_PADDING = 8;
+const UNDERLINED = new Set(["M", "W", "N", "Z"]);
+const SHEET_ROWS = 40;
+
+function escapeXml(text) {
+	return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Font size that fits a face into a cell: about 0.6em per letter, at most 80% of the cell wide.
+ */
+function faceFontSize(face, cellSize) {
+	const letters = Math.max(1, Array.from(face).length);
+	return Math.round(Math.min(cellSize * 0.55, (cellSize * 0.8) / (letters * 0.62)));
+}
+
+function boardSize(board, cellSize) {
+	return {
+		width: board[0].length * cellSize + 2 * BOARD_PADDING,
+		height: board.length * cellSize + 2 * BOARD_PADDING,
+	};
+}
+
+/**
+ * SVG elements of one board at the given vertical offset.
+ */
+function renderBoardGroup(board, cellSize, rules, rotated, offsetY) {
+	const { width, height } = boardSize(board, cellSize);
+	const blocked = new Set(((rules && rules.blockedCells) || []).map(([r, c]) => `${r}:${c}`));
+	const cells = [];
+	board.forEach((row, r) => {
+		row.forEach((face, c) => {
+			const x = BOARD_PADDING + c * cellSize;
+			const y = BOARD_PADDING + r * cellSize;
+			const isBlocked = blocked.has(`${r}:${c}`);
+			cells.push(`<rect x="${x + 2}" y="${y + 2}" width="${cellSize - 4}" height="${cellSize - 4}" rx="${cellSize / 8}" fill="${isBlocked ? "#444" : "#fff"}" stroke="#222" stroke-width="2"/>`);
+			if (isBlocked) return;
+			// Underlines only matter once the board can be read upside down
+			const underline = rotated && UNDERLINED.has(face) ? ' text-decoration="underline"' : "";
+			cells.push(`<text x="${x + cellSize / 2}" y="${y + cellSize / 2}" font-size="${faceFontSize(face, cellSize)}"${underline}>${escapeXml(face)}</text>`);
+		});
+	});
+	const rotate = rotated ? ` rotate(180 ${width / 2} ${height / 2})` : "";
+	return [
+		`<g transform="translate(0 ${offsetY})${rotate}" font-family="Helvetica, Arial, sans-serif" font-weight="bold" text-anchor="middle" dominant-baseline="central">`,
+		`<rect x="0" y="0" width="${width}" height="${height}" rx="${BOARD_PADDING}" fill="#d8d2c4"/>`,
+		...cells,
+		"</g>",
+	].join("\n");
+}
+
+/**
+ * Render a board as a standalone SVG document.
+ * @param {string[][]} board
+ * @param {{ cellSize?: number, rotated?: boolean, acrossTable?: boolean, rules?: object }} [options]
+ *   cellSize: pixels per cell (default 60); rotated: turn the board 180 degrees;
+ *   acrossTable: add a rotated copy below, as seen from across the table; rules: variant rules, for blocked cells
+ * @returns {string}
+ */
+function renderBoardSvg(board, options = {}) {
+	const cellSize = options.cellSize || CELL_SIZE;
+	const { width, height } = boardSize(board, cellSize);
+	const groups = [renderBoardGroup(board, cellSize, options.rules, Boolean(options.rotated), 0)];
+	let totalHeight = height;
+	if (options.acrossTable) {
+		totalHeight += cellSize / 2 + height;
+		groups.push(renderBoardGroup(board, cellSize, options.rules, !options.rotated, height + cellSize / 2));
+	}
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}">`,
+		...groups,
+		"</svg>",
+	].join("\n");
+}
+
+/**
+ * Group words by their number of letters, shortest first.
+ * @param {string[]} words
+ * @returns {{ length: number, words: string[] }[]}
+ */
+function groupWordsByLength(words) {
+	const groups = new Map();
+	for (const word of words) {
+		const length = Array.from(word).length;
+		if (!groups.has(length)) groups.set(length, []);
+		groups.get(length).push(word);
+	}
+	return Array.from(groups, ([length, group]) => ({ length, words: group })).sort((a, b) => a.length - b.length);
+}
+
+function describeScoring(scoring) {
+	return Object.keys(scoring.points).map(Number).sort((a, b) => a - b)
+		.map((length, i, lengths) => `${length}${i === lengths.length - 1 ? "+" : ""}: ${scoring.points[length]}`)
+		.join(" · ");
+}
+
+function renderScoringSheet(player, scoring) {
+	const rows = [];
+	for (let i = 1; i <= SHEET_ROWS; i += 1) {
+		rows.push(`<tr><td class="n">${i}</td><td class="word"></td><td class="pts"></td></tr>`);
+	}
+	const half = SHEET_ROWS / 2;
+	const table = (part) => `<table class="sheet"><tr><th></th><th>Word</th><th>Points</th></tr>${part.join("")}</table>`;
+	return `<section class="page">
+<h2>Player ${player}</h2>
+<p class="name">Name: <span class="line"></span></p>
+<div class="columns">${table(rows.slice(0, half))}${table(rows.slice(half))}</div>
+<p class="total">Total: <span class="line short"></span></p>
+<p class="meta">Points by letters: ${escapeXml(describeScoring(scoring))}; words of ${scoring.minLength}+ letters</p>
+</section>`;
+}
+
+function renderAnswerKey(words, scoring) {
+	const scored = words.filter((word) => pointsForWord(word, scoring) > 0);
+	const total = scored.reduce((sum, word) => sum + pointsForWord(word, scoring), 0);
+	const groups = groupWordsByLength(scored).map(({ length, words: group }) => {
+		const points = pointsForWord(group[0], scoring);
+		return `<h3>${length} letters: ${group.length} word${group.length === 1 ? "" : "s"}, ${points} point${points === 1 ? "" : "s"} each</h3>
+<p class="words">${group.map(escapeXml).join(" ")}</p>`;
+	});
+	return `<section class="page answers">
+<h2>Answer key</h2>
+<p class="meta">${scored.length} words, ${total} points</p>
+${groups.join("\n") || "<p>(no words)</p>"}
+</section>`;
+}
+
+/**
+ * Render a print-ready HTML document: the board page, one scoring sheet per player and an answer key,
+ * each on its own page.
+ * @param {string[][]} board
+ * @param {{ code?: string, seed?: string|null, lang?: string, rules?: object, rotated?: boolean,
+ *   players?: number, words?: string[]|null, scoring: {minLength: number, points: Object<number, number>} }} options
+ *   code: board code shown under the board; lang: document language (e.g. "pl");
+ *   rotated: add the board as seen from across the table; players: scoring sheets (default 0);
+ *   words: every word on the board (e.g. from solveBoard) for the answer key, null for none
+ * @returns {string}
+ */
+function renderPrintHtml(board, options) {
+	const title = options.code ? `Boggle ${options.code}` : "Boggle";
+	const meta = [];
+	if (options.code) meta.push(`Board code: ${escapeXml(options.code)}`);
+	if (options.seed !== undefined && options.seed !== null) meta.push(`Seed: ${escapeXml(options.seed)}`);
+	const boards = [renderBoardSvg(board, { rules: options.rules })];
+	if (options.rotated) {
+		boards.push(`<p class="meta">Seen from across the table:</p>\n${renderBoardSvg(board, { rules: options.rules, rotated: true })}`);
+	}
+	const pages = [`<section class="page board">
+<h1>${escapeXml(title)}</h1>
+${boards.join("\n")}
+<p class="meta">${meta.join(" · ")}</p>
+</section>`];
+	for (let player = 1; player <= (options.players || 0); player += 1) {
+		pages.push(renderScoringSheet(player, options.scoring));
+	}
+	if (options.words) pages.push(renderAnswerKey(options.words, options.scoring));
+
+	return `<!DOCTYPE html>
+<html lang="${escapeXml(options.lang || "en")}">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+@page { size: A4; margin: 15mm; }
+body { font-family: Helvetica, Arial, sans-serif; color: #111; }
+.page { break-after: page; page-break-after: always; }
+.page:last-child { break-after: auto; page-break-after: auto; }
+.board { text-align: center; }
+.board svg { width: auto; max-width: 100%; height: 110mm; margin: 4mm auto; display: block; }
+.meta { color: #555; font-size: 10pt; }
+.columns { display: flex; gap: 8mm; }
+table.sheet { flex: 1; border-collapse: collapse; font-size: 10pt; }
+table.sheet th, table.sheet td { border-bottom: 1px solid #999; height: 6mm; text-align: left; }
+table.sheet td.n { width: 8mm; color: #777; }
+table.sheet td.pts, table.sheet th:last-child { width: 14mm; }
+.line { display: inline-block; width: 80mm; border-bottom: 1px solid #111; }
+.line.short { width: 25mm; }
+.answers h3 { font-size: 11pt; margin: 4mm 0 1mm; }
+.answers .words { font-size: 10pt; line-height: 1.5; word-spacing: 3mm; }
+</style>
+</head>
+<body>
+${pages.join("\n")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+	renderBoardSvg,
+	groupWordsByLength,
+	renderPrintHtml,
+};
@@ -3,240 +3,1064 @@
 // Polish Boggle (Boogle) utilities: board generator, trie, and solver.
 // - Supports multi-character faces like "CH", "CZ", "RZ", "SZ" similar to English "Qu".
 // - Board is represented as a 4x4 matrix of strings (each string is one cube face value).
+// - Node: require("./boggle_pl"), or import from boggle_pl.mjs.
+// - Browser: import from boggle_pl_js/boggle_pl.mjs in a <script type="module">, which loads
+//   dice_sets.json first; a plain <script> after dice_sets.js exposes window.BogglePl instead.
 
-/**
- * A lightweight random helper using crypto if available, else Math.random.
- */
-function randomInt(maxExclusive) {
-	if (maxExclusive <= 0) return 0;
-	if (typeof crypto !== "undefined" && crypto.getRandomValues) {
-		const array = new Uint32Array(1);
-		crypto.getRandomValues(array);
-		return array[0] % maxExclusive;
-	}
-	return Math.floor(Math.random() * maxExclusive);
-}
-
-/**
- * Default Polish-oriented dice set (16 dice, each with 6 faces).
- * NOTE: This is a reasonable starting point, not an official distribution.
- * Includes common Polish bigrams as single faces and diacritics.
- */
-const DEFAULT_POLISH_DICE = [
-	["A", "A", "Ą", "E", "I", "O"],
-	["N", "R", "S", "T", "L", "K"],
-	["E", "E", "A", "O", "I", "Y"],
-	["M", "N", "R", "D", "T", "P"],
-	["S", "Z", "SZ", "CZ", "DZ", "RZ"],
-	["C", "H", "CH", "K", "L", "W"],
-	["P", "B", "D", "G", "M", "T"],
-	["Ł", "Ś", "Ź", "Ż", "Ć", "Ń"],
-	["U", "Ó", "Y", "E", "A", "I"],
-	["O", "O", "A", "E", "I", "U"],
-	["J", "R", "L", "N", "S", "Z"],
-	["K", "G", "H", "W", "F", "R"],
-	["Z", "Z", "S", "R", "N", "L"],
-	["D", "DŹ", "DŻ", "DZ", "R", "T"],
-	["C", "CZ", "SZ", "RZ", "CH", "Ż"],
-	["E", "A", "I", "O", "U", "Y"],
-];
-
-/**
- * Extended dice set for larger boards (up to 36 dice for 6x6).
- * Additional dice with more Polish letters and combinations.
- */
-const EXTENDED_POLISH_DICE = [
-	// Original 16 dice
-	...DEFAULT_POLISH_DICE,
-	// Additional dice for 5x5 and 6x6 (20 more)
-	["A", "Ą", "E", "Ę", "I", "O"],
-	["Ó", "U", "Y", "A", "E", "I"],
-	["B", "C", "D", "F", "G", "H"],
-	["J", "K", "L", "M", "N", "P"],
-	["R", "S", "T", "W", "Z", "Ż"],
-	["CH", "CZ", "DZ", "DŻ", "DŹ", "RZ"],
-	["SZ", "Ś", "Ź", "Ć", "Ń", "Ł"],
-	["A", "E", "I", "O", "U", "Y"],
-	["B", "C", "D", "F", "G", "H"],
-	["J", "K", "L", "M", "N", "P"],
-	["R", "S", "T", "W", "Z", "Ż"],
-	["A", "Ą", "E", "Ę", "I", "O"],
-	["Ó", "U", "Y", "A", "E", "I"],
-	["CH", "CZ", "DZ", "DŻ", "DŹ", "RZ"],
-	["SZ", "Ś", "Ź", "Ć", "Ń", "Ł"],
-	["B", "C", "D", "F", "G", "H"],
-	["J", "K", "L", "M", "N", "P"],
-	["R", "S", "T", "W", "Z", "Ż"],
-	["A", "E", "I", "O", "U", "Y"],
-	["B", "C", "D", "F", "G", "H"]
-];
-
-/**
- * Get the appropriate dice set for a given board size.
- * @param {number} totalCells - Total number of cells on the board
- * @returns {string[][]} Array of dice with the correct count
- */
-function getDiceForBoardSize(totalCells) {
-	if (totalCells <= 16) {
-		return DEFAULT_POLISH_DICE;
-	} else if (totalCells <= 36) {
-		return EXTENDED_POLISH_DICE.slice(0, totalCells);
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		const diceSets = require("./dice_sets");
+		module.exports = factory(diceSets, diceSets.loadDiceSetsFromFile());
 	} else {
-		// For very large boards, repeat the extended dice set
-		const dice = [];
-		while (dice.length < totalCells) {
-			dice.push(...EXTENDED_POLISH_DICE);
-		}
-		return dice.slice(0, totalCells);
-	}
-}
-
-/**
- * Shuffle an array in-place using Fisher-Yates.
- */
-function shuffleInPlace(array) {
-	for (let i = array.length - 1; i > 0; i -= 1) {
-		const j = randomInt(i + 1);
-		const tmp = array[i];
-		array[i] = array[j];
-		array[j] = tmp;
-	}
-	return array;
-}
-
-/**
- * Generate a Boggle board by shuffling dice and rolling each die.
- * @param {string[][]} dice - Array of dice, each die has 6 string faces
- * @param {{rows: number, cols: number}} size - Board dimensions
- * @returns {string[][]} matrix of strings
- */
-function generateBoard(dice = DEFAULT_POLISH_DICE, size = { rows: 4, cols: 4 }) {
-	const totalCells = size.rows * size.cols;
-	if (!Array.isArray(dice) || dice.length !== totalCells) {
-		throw new Error(`dice must be an array of ${totalCells} dice (each with 6 faces)`);
-	}
-	const diceCopy = dice.map((faces) => {
-		if (!Array.isArray(faces) || faces.length !== 6) {
-			throw new Error("each die must have exactly 6 faces");
-		}
-		return faces.slice();
-	});
-	shuffleInPlace(diceCopy);
-
-	const faces = diceCopy.map((facesOfDie) => facesOfDie[randomInt(6)]);
-	const board = [];
-	for (let r = 0; r < size.rows; r += 1) {
-		board.push(faces.slice(r * size.cols, r * size.cols + size.cols));
-	}
-	return board;
-}
-
-/**
- * Build a trie from a list of words. Words are uppercased and trimmed.
- * @param {string[]} words
- * @returns {object} root trie node
- */
-function buildTrie(words) {
-	const root = { children: Object.create(null), isWord: false };
-	for (const raw of words) {
-		if (!raw) continue;
-		const word = String(raw).trim().toUpperCase();
-		if (word.length === 0) continue;
-		let node = root;
-		for (let i = 0; i < word.length; i += 1) {
-			const ch = word[i];
-			if (!node.children[ch]) node.children[ch] = { children: Object.create(null), isWord: false };
-			node = node.children[ch];
-		}
-		node.isWord = true;
-	}
-	return root;
-}
-
-/**
- * Try to advance in the trie by a string segment (which may be multi-char, e.g., "CZ").
- * Returns the node after consuming the segment, or null if not a valid prefix.
- */
-function advanceTrieBySegment(node, segment) {
-	let current = node;
-	for (let i = 0; i < segment.length; i += 1) {
-		const ch = segment[i].toUpperCase();
-		current = current && current.children[ch];
-		if (!current) return null;
-	}
-	return current;
-}
-
-/**
- * Find all valid words on the given board using the provided trie.
- * @param {string[][]} board matrix of strings (faces)
- * @param {object} trieRoot root of trie built via buildTrie
- * @param {{ minLength?: number }} options
- * @returns {Set<string>} set of found uppercase words
- */
-function findWords(board, trieRoot, options) {
-	if (!board || board.length === 0 || board.some((row) => !Array.isArray(row) || row.length === 0)) {
-		throw new Error("board must be a non-empty matrix");
-	}
-	const rows = board.length;
-	const cols = board[0].length;
-	const minLength = options && options.minLength ? options.minLength : 3;
-	const found = new Set();
-	const visited = new Array(rows).fill(null).map(() => new Array(cols).fill(false));
-
-	function dfs(r, c, node, currentWord) {
-		if (r < 0 || r >= rows || c < 0 || c >= cols) return;
-		if (visited[r][c]) return;
-
-		const face = String(board[r][c]).toUpperCase();
-		const nextNode = advanceTrieBySegment(node, face);
-		if (!nextNode) return;
-
-		const nextWord = currentWord + face;
-		if (nextNode.isWord && nextWord.length >= minLength) {
-			found.add(nextWord);
-		}
-
-		visited[r][c] = true;
-		for (let dr = -1; dr <= 1; dr += 1) {
-			for (let dc = -1; dc <= 1; dc += 1) {
-				if (dr === 0 && dc === 0) continue;
-				dfs(r + dr, c + dc, nextNode, nextWord);
-			}
-		}
-		visited[r][c] = false;
-	}
-
-	for (let r = 0; r < rows; r += 1) {
-		for (let c = 0; c < cols; c += 1) {
-			dfs(r, c, trieRoot, "");
-		}
-	}
-
-	return found;
-}
-
-/**
- * Solve a board given a dictionary array. Convenience wrapper around buildTrie/findWords.
- * @param {string[][]} board
- * @param {string[]} dictionary list of lowercase/uppercase words
- * @param {{ minLength?: number }} options
- * @returns {string[]} sorted list of unique uppercase words
- */
-function solveBoard(board, dictionary, options) {
-	const trie = buildTrie(dictionary || []);
-	const set = findWords(board, trie, options || {});
-	return Array.from(set).sort((a, b) => (a.length === b.length ? (a < b ? -1 : 1) : a.length - b.length));
-}
-
-module.exports = {
-	DEFAULT_POLISH_DICE,
-	EXTENDED_POLISH_DICE,
-	getDiceForBoardSize,
-	generateBoard,
-	buildTrie,
-	findWords,
-	solveBoard,
-};
+		root.BogglePl = factory(root.BoggleDice, null);
+	}
+})(typeof self !== "undefined" ? self : this, function (diceSetsModule, initialDiceSets) {
+	/**
+	 * A lightweight random helper using crypto if available, else Math.random.
+	 */
+	function randomInt(maxExclusive) {
+		if (maxExclusive <= 0) return 0;
+		if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+			const array = new Uint32Array(1);
+			crypto.getRandomValues(array);
+			return array[0] % maxExclusive;
+		}
+		return Math.floor(Math.random() * maxExclusive);
+	}
+
+	/**
+	 * Hash a seed string to a 32-bit integer (xmur3 finalizer).
+	 */
+	function hashSeed(seed) {
+		const str = String(seed);
+		let h = 1779033703 ^ str.length;
+		for (let i = 0; i < str.length; i += 1) {
+			h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+			h = (h << 13) | (h >>> 19);
+		}
+		h = Math.imul(h ^ (h >>> 16), 2246822507);
+		h = Math.imul(h ^ (h >>> 13), 3266489909);
+		return (h ^ (h >>> 16)) >>> 0;
+	}
+
+	/**
+	 * Create a deterministic randomInt replacement (mulberry32) from a seed string or number.
+	 * The same seed always yields the same sequence, on every platform.
+	 * @param {string|number} seed
+	 * @returns {function(number): number} randomInt(maxExclusive)
+	 */
+	function createSeededRandom(seed) {
+		let state = hashSeed(seed);
+		return function seededRandomInt(maxExclusive) {
+			if (maxExclusive <= 0) return 0;
+			state = (state + 0x6d2b79f5) | 0;
+			let t = Math.imul(state ^ (state >>> 15), 1 | state);
+			t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+			const fraction = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+			return Math.floor(fraction * maxExclusive);
+		};
+	}
+
+	/**
+	 * Dice sets for every language and size, from dice_sets.json (see dice_sets.js).
+	 * Loaded synchronously in Node; in the browser they are null until loadDiceSets() resolves.
+	 */
+	let DICE_SETS = null;
+
+	/**
+	 * Default Polish-oriented dice set (16 dice, each with 6 faces).
+	 * NOTE: This is a reasonable starting point, not an official distribution.
+	 * Includes common Polish bigrams as single faces and diacritics.
+	 */
+	let DEFAULT_POLISH_DICE = null;
+
+	/**
+	 * Extended dice set for larger boards (up to 36 dice for 6x6):
+	 * the 16 default dice followed by 20 more with extra Polish letters and combinations.
+	 */
+	let EXTENDED_POLISH_DICE = null;
+
+	/**
+	 * Use parsed dice sets (result of parseDiceSets in dice_sets.js) for every dice lookup.
+	 * @returns {object} the dice sets
+	 */
+	function useDiceSets(diceSets) {
+		DICE_SETS = diceSets;
+		DEFAULT_POLISH_DICE = diceSets.byId["pol44-multi"].dice;
+		EXTENDED_POLISH_DICE = diceSets.byId["pol66-multi"].dice;
+		Object.assign(api, { DICE_SETS, DEFAULT_POLISH_DICE, EXTENDED_POLISH_DICE });
+		return diceSets;
+	}
+
+	/**
+	 * Browser: fetch dice_sets.json and use it (Node loads it on require).
+	 * @param {string} url
+	 * @returns {Promise<object>} the dice sets
+	 */
+	function loadDiceSets(url) {
+		return diceSetsModule.loadDiceSetsFromUrl(url).then(useDiceSets);
+	}
+
+	/**
+	 * Get the appropriate dice set for a given board size.
+	 * @param {number} totalCells - Total number of cells on the board
+	 * @returns {string[][]} Array of dice with the correct count
+	 */
+	function getDiceForBoardSize(totalCells) {
+		if (totalCells <= 16) {
+			return DEFAULT_POLISH_DICE;
+		} else if (totalCells <= 36) {
+			return EXTENDED_POLISH_DICE.slice(0, totalCells);
+		} else {
+			// For very large boards, repeat the extended dice set
+			const dice = [];
+			while (dice.length < totalCells) {
+				dice.push(...EXTENDED_POLISH_DICE);
+			}
+			return dice.slice(0, totalCells);
+		}
+	}
+
+	/**
+	 * Look up a dice set by id, e.g. "pol55" or "eng44-classic".
+	 * @param {string} id
+	 * @returns {{ id: string, name: string, language: string, rows: number, cols: number, dice: string[][] }|null}
+	 */
+	function getDiceSet(id) {
+		return DICE_SETS.byId[id] || null;
+	}
+
+	/**
+	 * Find the first dice set for a language and/or board size.
+	 * @param {{ language?: string, rows?: number, cols?: number }} query
+	 * @returns {object|null}
+	 */
+	function findDiceSetFor(query) {
+		return diceSetsModule.findDiceSet(DICE_SETS, query);
+	}
+
+	/**
+	 * Shuffle an array in-place using Fisher-Yates.
+	 * @param {function(number): number} [random] randomInt-like source, e.g. from createSeededRandom
+	 */
+	function shuffleInPlace(array, random = randomInt) {
+		for (let i = array.length - 1; i > 0; i -= 1) {
+			const j = random(i + 1);
+			const tmp = array[i];
+			array[i] = array[j];
+			array[j] = tmp;
+		}
+		return array;
+	}
+
+	/**
+	 * Shuffle the dice and roll each one into a rows x cols matrix.
+	 */
+	function rollBoard(dice, size, random) {
+		shuffleInPlace(dice, random);
+		const faces = dice.map((facesOfDie) => facesOfDie[random(6)]);
+		const board = [];
+		for (let r = 0; r < size.rows; r += 1) {
+			board.push(faces.slice(r * size.cols, r * size.cols + size.cols));
+		}
+		return board;
+	}
+
+	/**
+	 * Check the dice fit the board and copy them, so shuffling leaves the caller's array alone.
+	 */
+	function copyDice(dice, size) {
+		const totalCells = size.rows * size.cols;
+		if (!Array.isArray(dice) || dice.length !== totalCells) {
+			throw new Error(`dice must be an array of ${totalCells} dice (each with 6 faces)`);
+		}
+		return dice.map((faces) => {
+			if (!Array.isArray(faces) || faces.length !== 6) {
+				throw new Error("each die must have exactly 6 faces");
+			}
+			return faces.slice();
+		});
+	}
+
+	/**
+	 * The random source generateBoard options ask for: seeded, given, or Math.random based.
+	 */
+	function randomFromOptions(options) {
+		return options.seed !== undefined && options.seed !== null
+			? createSeededRandom(options.seed)
+			: options.random || randomInt;
+	}
+
+	/**
+	 * Generate a Boggle board by shuffling dice and rolling each die.
+	 * With minWords/minScore it re-rolls until the board is good enough; the first roll
+	 * is the same board generateBoard would deal without them, so seeds stay comparable.
+	 * @param {string[][]} dice - Array of dice, each die has 6 string faces
+	 * @param {{rows: number, cols: number}} size - Board dimensions
+	 * @param {{ seed?: string|number, random?: function(number): number, trie?: object, minWords?: number,
+	 *   minScore?: number, scoreWord?: function(string): number, minLength?: number, maxAttempts?: number }} [options]
+	 *   seed: makes the board reproducible (same seed + same dice = same board);
+	 *   random: randomInt-like source to draw from instead (ignored when seed is given);
+	 *   minWords/minScore: re-roll until the board has at least this many words/points, solved with trie;
+	 *   scoreWord: points for one word, required with minScore (e.g. pointsForWord from scoring.js);
+	 *   minLength: shortest word to count (default 3); maxAttempts: rolls before giving up (default 1000)
+	 *   rules: board rules the candidates are solved with, see compileRules
+	 * @returns {string[][]} matrix of strings
+	 * @throws {Error} if no board meets minWords/minScore within maxAttempts
+	 */
+	function generateBoard(dice = DEFAULT_POLISH_DICE, size = { rows: 4, cols: 4 }, options = {}) {
+		const diceCopy = copyDice(dice, size);
+		const random = randomFromOptions(options);
+
+		const minWords = options.minWords || 0;
+		const minScore = options.minScore || 0;
+		if (!minWords && !minScore) {
+			return rollBoard(diceCopy, size, random);
+		}
+		if (!options.trie) {
+			throw new Error("minWords/minScore need options.trie to solve candidate boards");
+		}
+		if (minScore && typeof options.scoreWord !== "function") {
+			throw new Error("minScore needs options.scoreWord(word) to score candidate boards");
+		}
+		const maxAttempts = options.maxAttempts || 1000;
+		for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+			const board = rollBoard(diceCopy, size, random);
+			const words = findWords(board, options.trie, { minLength: options.minLength, rules: options.rules });
+			let score = 0;
+			if (minScore) {
+				for (const word of words) score += options.scoreWord(word);
+			}
+			if (words.size >= minWords && score >= minScore) return board;
+		}
+		throw new Error(`no board with at least ${minWords} words and ${minScore} points in ${maxAttempts} attempts`);
+	}
+
+	/**
+	 * Fewest faces the word can be cut into ("SZCZAW" -> SZ-CZ-A-W is 4), Infinity if no cut works.
+	 */
+	function fewestFaces(word, faces) {
+		const fewest = new Array(word.length + 1).fill(Infinity);
+		fewest[0] = 0;
+		for (let offset = 0; offset < word.length; offset += 1) {
+			if (fewest[offset] === Infinity) continue;
+			for (const face of faces) {
+				if (face.length > 0 && word.startsWith(face, offset)) {
+					fewest[offset + face.length] = Math.min(fewest[offset + face.length], fewest[offset] + 1);
+				}
+			}
+		}
+		return fewest[word.length];
+	}
+
+	/**
+	 * Generate a board on which every target word can be traced: searches for dice placements and
+	 * face choices that spell the words on adjacent cells (words may share cells), then rolls the
+	 * leftover dice into the remaining cells. Multi-letter faces ("CZ", "QU") count as one cell,
+	 * as everywhere else.
+	 * @param {string[][]} dice - Array of dice, each die has 6 string faces
+	 * @param {{rows: number, cols: number}} size - Board dimensions
+	 * @param {string[]} words - target words, spelled like the faces (e.g. normalized by the dictionary)
+	 * @param {{ seed?: string|number, random?: function(number): number, rules?: object, maxSteps?: number }} [options]
+	 *   seed/random: as in generateBoard, picks among the boards that work;
+	 *   rules: board rules the words must be traceable and score under (required cell and letter too), see compileRules;
+	 *   maxSteps: search steps before giving up (default 200000), spread over a few randomized restarts
+	 * @returns {string[][]} matrix of strings
+	 * @throws {Error} if the dice cannot spell the words, or the search gives up
+	 */
+	function generateBoardWithWords(dice = DEFAULT_POLISH_DICE, size = { rows: 4, cols: 4 }, words = [], options = {}) {
+		const diceCopy = copyDice(dice, size);
+		const random = randomFromOptions(options);
+		const targets = Array.from(new Set(words.map((word) => String(word).trim().toUpperCase()).filter(Boolean)))
+			.sort((a, b) => b.length - a.length);
+		if (targets.length === 0) {
+			throw new Error("words must contain at least one word");
+		}
+
+		const emptyBoard = Array.from({ length: size.rows }, () => new Array(size.cols).fill(""));
+		const compiled = compileRules(emptyBoard, options.rules);
+		const dieFaces = diceCopy.map((faces) => faces.map((face) => String(face).toUpperCase()));
+		const allFaces = new Set([].concat(...dieFaces));
+		const openCells = compiled.blocked.length - compiled.blocked.reduce((sum, blocked) => sum + blocked, 0);
+		for (const word of targets) {
+			const cells = fewestFaces(word, allFaces);
+			if (cells === Infinity) {
+				throw new Error(`no arrangement of these dice can spell ${word}: no faces spell it`);
+			}
+			if (!compiled.reuse && cells > openCells) {
+				throw new Error(`no arrangement of these dice can spell ${word}: it needs ${cells} cells, the board has ${openCells}`);
+			}
+			if (compiled.requiredLetter !== null && !word.includes(compiled.requiredLetter)) {
+				throw new Error(`${word} does not use the required letter ${compiled.requiredLetter}`);
+			}
+		}
+
+		// Dice with the same faces are interchangeable, so the search tries only one of them
+		const dieKinds = dieFaces.map((faces) => faces.slice().sort().join("|"));
+		const cellFace = new Array(diceCopy.length).fill(null);
+		const cellDie = new Array(diceCopy.length).fill(-1);
+		const dieUsed = new Uint8Array(diceCopy.length);
+		// Unlucky early choices can trap a depth-first search, so it restarts with fresh random orders
+		const restarts = 8;
+		const maxSteps = options.maxSteps || 200000;
+		const stepsPerRestart = Math.ceil(maxSteps / restarts);
+		let steps = 0;
+		const shuffled = (array) => shuffleInPlace(array.slice(), random);
+		const allCells = diceCopy.map((_die, index) => index);
+
+		function placeWords(wordIndex) {
+			if (wordIndex === targets.length) return true;
+			for (const cell of shuffled(allCells)) {
+				if (placeFrom(wordIndex, 0, cell, [])) return true;
+			}
+			return false;
+		}
+
+		// A spelled word must also use the required cell and letter, or it would not score
+		const meetsRequirements = (path) =>
+			(compiled.requiredIndex < 0 || path.includes(compiled.requiredIndex)) &&
+			(compiled.requiredLetter === null || path.some((index) => cellFace[index] === compiled.requiredLetter));
+		// Steps from each cell to the required cell, so paths that cannot reach it in time are cut early
+		// (see canStillMeetRequirements)
+		const stepsToRequired = new Array(diceCopy.length).fill(Infinity);
+		if (compiled.requiredIndex >= 0) {
+			stepsToRequired[compiled.requiredIndex] = 0;
+			const queue = [compiled.requiredIndex];
+			for (let i = 0; i < queue.length; i += 1) {
+				for (const neighbour of compiled.neighbours[queue[i]]) {
+					if (stepsToRequired[neighbour] === Infinity) {
+						stepsToRequired[neighbour] = stepsToRequired[queue[i]] + 1;
+						queue.push(neighbour);
+					}
+				}
+			}
+		}
+
+		// Whether a word spelled from offset on cell can still reach the required cell and letter;
+		// cell takes at least one letter, and so does every later cell
+		function canStillMeetRequirements(word, offset, cell, path) {
+			const required = compiled.requiredIndex;
+			if (required >= 0 && cell !== required && !path.includes(required)) {
+				if (stepsToRequired[cell] > word.length - offset - 1) return false;
+				if (cellFace[required] !== null && word.indexOf(cellFace[required], offset + 1) < 0) return false;
+			}
+			const letter = compiled.requiredLetter;
+			if (letter !== null && word.indexOf(letter, offset) < 0 && !path.some((index) => cellFace[index] === letter)) {
+				return false;
+			}
+			return true;
+		}
+
+		// Spell targets[wordIndex] from offset, starting on cell; path holds the word's cells so far
+		function placeFrom(wordIndex, offset, cell, path) {
+			steps += 1;
+			if (steps > stepsPerRestart) return false;
+			if (compiled.blocked[cell] || (!compiled.reuse && path.includes(cell))) return false;
+			const word = targets[wordIndex];
+			if (!canStillMeetRequirements(word, offset, cell, path)) return false;
+
+			const continueAfter = (face) => {
+				const next = offset + face.length;
+				path.push(cell);
+				let done = false;
+				if (next === word.length) {
+					done = meetsRequirements(path) && placeWords(wordIndex + 1);
+				} else {
+					for (const neighbour of shuffled(compiled.neighbours[cell])) {
+						if (placeFrom(wordIndex, next, neighbour, path)) {
+							done = true;
+							break;
+						}
+					}
+				}
+				path.pop();
+				return done;
+			};
+
+			if (cellFace[cell] !== null) {
+				return word.startsWith(cellFace[cell], offset) && continueAfter(cellFace[cell]);
+			}
+			const tried = new Set();
+			for (const die of shuffled(allCells)) {
+				if (dieUsed[die]) continue;
+				for (const face of dieFaces[die]) {
+					const kind = `${face}|${dieKinds[die]}`;
+					if (face.length === 0 || tried.has(kind) || !word.startsWith(face, offset)) continue;
+					tried.add(kind);
+					cellFace[cell] = face;
+					cellDie[cell] = die;
+					dieUsed[die] = 1;
+					if (continueAfter(face)) return true;
+					cellFace[cell] = null;
+					cellDie[cell] = -1;
+					dieUsed[die] = 0;
+					if (steps > stepsPerRestart) return false;
+				}
+			}
+			return false;
+		}
+
+		let placed = false;
+		for (let restart = 0; restart < restarts && !placed; restart += 1) {
+			steps = 0;
+			placed = placeWords(0);
+			if (!placed && steps <= stepsPerRestart) {
+				// The search ran to the end without running out of steps: there is no such board
+				throw new Error(`no arrangement of these dice spells all of ${targets.join(", ")} on a ${size.rows}x${size.cols} board`);
+			}
+		}
+		if (!placed) {
+			throw new Error(`gave up after ${maxSteps} steps looking for a board with ${targets.join(", ")}; try fewer or shorter words`);
+		}
+
+		// Leftover dice go to the empty cells in random order, each showing a random face
+		const leftover = shuffled(allCells.filter((die) => !dieUsed[die]));
+		const board = [];
+		for (let r = 0; r < size.rows; r += 1) {
+			const row = [];
+			for (let c = 0; c < size.cols; c += 1) {
+				const cell = r * size.cols + c;
+				if (cellDie[cell] >= 0) {
+					row.push(diceCopy[cellDie[cell]].find((face) => String(face).toUpperCase() === cellFace[cell]));
+				} else {
+					const die = diceCopy[leftover.pop()];
+					row.push(die[random(6)]);
+				}
+			}
+			board.push(row);
+		}
+		return board;
+	}
+
+	/**
+	 * Board codes: a canonical, URL-safe text form of a board.
+	 *   <rows>x<cols>~<face>-<face>-...[~lang.<language>][~seed.<seed>]
+	 * Faces are listed row by row and separated by "-", so multi-letter faces ("CZ", "DŻ") stay unambiguous.
+	 * Example: 2x2~K-O-CZ-A~lang.pol~seed.abc123
+	 */
+	const BOARD_CODE_PATTERN = /^(\d+)x(\d+)~([^~]+)((?:~[a-z]+\.[^~]*)*)$/;
+
+	/**
+	 * Percent-encode a free-form board code value; "~" and "-" are separators, so they are encoded too.
+	 */
+	function encodeBoardCodeValue(value) {
+		return encodeURIComponent(String(value)).replace(/[~-]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+	}
+
+	function decodeBoardCodeValue(value) {
+		try {
+			return decodeURIComponent(value);
+		} catch (_err) {
+			throw new Error(`invalid escape in board code: "${value}"`);
+		}
+	}
+
+	/**
+	 * Format a board as a board code.
+	 * @param {string[][]} board matrix of strings (faces)
+	 * @param {{ language?: string, seed?: string|number }} [meta]
+	 * @returns {string} e.g. "4x4~K-O-T-A-...~lang.pol~seed.abc123"
+	 */
+	function formatBoardCode(board, meta = {}) {
+		assertBoard(board);
+		const rows = board.length;
+		const cols = board[0].length;
+		if (board.some((row) => row.length !== cols)) {
+			throw new Error("board rows must all have the same length");
+		}
+		const faces = [];
+		for (const row of board) {
+			for (const face of row) {
+				const normalized = String(face).toUpperCase();
+				if (!/^\p{L}+$/u.test(normalized)) {
+					throw new Error(`board face must be one or more letters, got "${face}"`);
+				}
+				faces.push(normalized);
+			}
+		}
+		let code = `${rows}x${cols}~${faces.join("-")}`;
+		if (meta.language) code += `~lang.${encodeBoardCodeValue(meta.language)}`;
+		if (meta.seed !== undefined && meta.seed !== null) code += `~seed.${encodeBoardCodeValue(meta.seed)}`;
+		return code;
+	}
+
+	/**
+	 * Parse a board code produced by formatBoardCode.
+	 * Pass it as it appears after URL decoding (e.g. from URLSearchParams or a decoded path segment).
+	 * @param {string} code
+	 * @returns {{ board: string[][], size: {rows: number, cols: number}, language: string|null, seed: string|null }}
+	 */
+	function parseBoardCode(code) {
+		const match = BOARD_CODE_PATTERN.exec(String(code).trim());
+		if (!match) {
+			throw new Error(`invalid board code: "${code}" (expected ROWSxCOLS~FACE-FACE-...)`);
+		}
+		const rows = Number(match[1]);
+		const cols = Number(match[2]);
+		if (rows < 1 || cols < 1) {
+			throw new Error("board code dimensions must be positive integers");
+		}
+		const faces = match[3].split("-").map((face) => decodeBoardCodeValue(face).toUpperCase());
+		if (faces.length !== rows * cols) {
+			throw new Error(`board code has ${faces.length} faces, expected ${rows * cols} for ${rows}x${cols}`);
+		}
+		if (faces.some((face) => !/^\p{L}+$/u.test(face))) {
+			throw new Error("board code faces must be one or more letters");
+		}
+
+		const result = { board: [], size: { rows, cols }, language: null, seed: null };
+		for (let r = 0; r < rows; r += 1) {
+			result.board.push(faces.slice(r * cols, r * cols + cols));
+		}
+		for (const field of match[4].split("~").slice(1)) {
+			const dot = field.indexOf(".");
+			const key = field.slice(0, dot);
+			const value = decodeBoardCodeValue(field.slice(dot + 1));
+			if (key === "lang") result.language = value;
+			else if (key === "seed") result.seed = value;
+			else throw new Error(`unknown board code field: "${key}"`);
+		}
+		return result;
+	}
+
+	/**
+	 * Check whether a string looks like a board code (as opposed to e.g. a plain row gridstring).
+	 */
+	function isBoardCode(text) {
+		return /^\d+x\d+~/.test(String(text).trim());
+	}
+
+	/**
+	 * Build a trie from a list of words. Words are uppercased and trimmed.
+	 * @param {string[]} words
+	 * @returns {object} root trie node
+	 */
+	function buildTrie(words) {
+		const root = { children: Object.create(null), isWord: false };
+		for (const raw of words) {
+			if (!raw) continue;
+			const word = String(raw).trim().toUpperCase();
+			if (word.length === 0) continue;
+			let node = root;
+			for (let i = 0; i < word.length; i += 1) {
+				const ch = word[i];
+				if (!node.children[ch]) node.children[ch] = { children: Object.create(null), isWord: false };
+				node = node.children[ch];
+			}
+			node.isWord = true;
+		}
+		return root;
+	}
+
+	/**
+	 * Try to advance in the trie by a string segment (which may be multi-char, e.g., "CZ").
+	 * Returns the node after consuming the segment, or null if not a valid prefix.
+	 */
+	function advanceTrieBySegment(node, segment) {
+		let current = node;
+		for (let i = 0; i < segment.length; i += 1) {
+			const ch = segment[i].toUpperCase();
+			current = current && current.children[ch];
+			if (!current) return null;
+		}
+		return current;
+	}
+
+	const objectTrieCursor = {
+		advance: advanceTrieBySegment,
+		isWord: (node) => node.isWord,
+		forEachChild: (node, fn) => {
+			for (const ch of Object.keys(node.children)) fn(ch, node.children[ch]);
+		},
+	};
+
+	/**
+	 * Uniform access to either dictionary form: an object trie from buildTrie,
+	 * or a Dawg (dawg.js), which exposes root/advance/isWord over integer node ids.
+	 * In both cases advance returns null when the segment is not a valid prefix.
+	 * Segments passed to a Dawg must already be uppercase.
+	 * forEachChild(node, fn) calls fn(char, child) for every one-character edge.
+	 * @returns {{ root: *, advance: function(*, string): *, isWord: function(*): boolean, forEachChild: function(*, function(string, *)): void }}
+	 */
+	function trieCursor(trie) {
+		if (trie && typeof trie.advance === "function") {
+			return {
+				root: trie.root,
+				advance: (node, segment) => trie.advance(node, segment),
+				isWord: (node) => trie.isWord(node),
+				forEachChild: (node, fn) => trie.forEachChild(node, fn),
+			};
+		}
+		return Object.assign({ root: trie }, objectTrieCursor);
+	}
+
+	/**
+	 * Check whether a word is in the dictionary.
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {string} word
+	 * @returns {boolean}
+	 */
+	function trieHasWord(trieRoot, word) {
+		const normalized = String(word).trim().toUpperCase();
+		if (normalized.length === 0) return false;
+		const cursor = trieCursor(trieRoot);
+		const node = cursor.advance(cursor.root, normalized);
+		return node !== null && cursor.isWord(node);
+	}
+
+	/**
+	 * Sort query matches like solveBoard and apply the query options.
+	 * @param {{ limit?: number, minLength?: number }} [options]
+	 */
+	function finishQuery(found, options) {
+		const opts = options || {};
+		const minLength = opts.minLength || 1;
+		const words = sortWords(Array.from(found).filter((word) => word.length >= minLength));
+		return opts.limit ? words.slice(0, opts.limit) : words;
+	}
+
+	/**
+	 * Words matching a pattern: "?" is any one letter, "*" any run of letters (or none),
+	 * anything else matches itself, e.g. "?A?Ż" or "PRZE*".
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {string} pattern
+	 * @param {{ limit?: number, minLength?: number }} [options]
+	 *   limit: most words to return; minLength: fewest letters (default 1)
+	 * @returns {string[]} sorted short->long, alphabetically within a length
+	 */
+	function findPatternWords(trieRoot, pattern, options) {
+		const cursor = trieCursor(trieRoot);
+		const target = String(pattern).trim().toUpperCase();
+		const found = new Set();
+		function match(node, index, word) {
+			if (index === target.length) {
+				if (word && cursor.isWord(node)) found.add(word);
+				return;
+			}
+			const ch = target[index];
+			if (ch === "*") {
+				match(node, index + 1, word);
+				cursor.forEachChild(node, (next, child) => match(child, index, word + next));
+			} else if (ch === "?") {
+				cursor.forEachChild(node, (next, child) => match(child, index + 1, word + next));
+			} else {
+				const child = cursor.advance(node, ch);
+				if (child !== null) match(child, index + 1, word + ch);
+			}
+		}
+		match(cursor.root, 0, "");
+		return finishQuery(found, options);
+	}
+
+	/**
+	 * Words made from some or all of a multiset of letters (sub-anagrams), like tiles in a rack.
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {string|string[]} letters one token per letter, so multi-letter tokens ("SZ", "CH")
+	 *   are spelled as arrays; a string is split into single letters. "?" is a blank (any letter).
+	 * @param {{ limit?: number, minLength?: number }} [options]
+	 * @returns {string[]} sorted short->long, alphabetically within a length
+	 */
+	function findAnagrams(trieRoot, letters, options) {
+		const cursor = trieCursor(trieRoot);
+		const tokens = (typeof letters === "string" ? Array.from(letters) : letters)
+			.map((token) => String(token).trim().toUpperCase())
+			.filter(Boolean);
+		const counts = new Map();
+		for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+		const found = new Set();
+		function extend(node, word) {
+			if (word && cursor.isWord(node)) found.add(word);
+			for (const [token, count] of counts) {
+				if (count === 0) continue;
+				counts.set(token, count - 1);
+				if (token === "?") {
+					cursor.forEachChild(node, (next, child) => extend(child, word + next));
+				} else {
+					const child = cursor.advance(node, token);
+					if (child !== null) extend(child, word + token);
+				}
+				counts.set(token, count);
+			}
+		}
+		extend(cursor.root, "");
+		return finishQuery(found, options);
+	}
+
+	/**
+	 * Words that start with a prefix (the prefix itself included when it is a word).
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {string} prefix
+	 * @param {{ limit?: number, minLength?: number }} [options]
+	 * @returns {string[]} sorted short->long, alphabetically within a length
+	 */
+	function findPrefixWords(trieRoot, prefix, options) {
+		const cursor = trieCursor(trieRoot);
+		const start = String(prefix).trim().toUpperCase();
+		const found = new Set();
+		function collect(node, word) {
+			if (word && cursor.isWord(node)) found.add(word);
+			cursor.forEachChild(node, (next, child) => collect(child, word + next));
+		}
+		const node = cursor.advance(cursor.root, start);
+		if (node !== null) collect(node, start);
+		return finishQuery(found, options);
+	}
+
+	function assertBoard(board) {
+		if (!board || board.length === 0 || board.some((row) => !Array.isArray(row) || row.length === 0)) {
+			throw new Error("board must be a non-empty matrix");
+		}
+	}
+
+	const KING_STEPS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+	const ORTHOGONAL_STEPS = [[-1, 0], [0, -1], [0, 1], [1, 0]];
+
+	/**
+	 * Turn board rules into per-cell lookups. Rules (all optional, defaults are classic Boggle):
+	 * - wrap: edges wrap around (toroidal board)
+	 * - moves: "king" (8 neighbours, default) or "orthogonal" (4 neighbours)
+	 * - reuse: "never" (default) or "notConsecutive" (a cell may come back, but not twice in a row)
+	 * - requiredCell: [row, col] every word must use
+	 * - requiredLetter: face every word must use at least once (e.g. "Ż")
+	 * - blockedCells: [[row, col], ...] cells no word may use
+	 * Cells are numbered row by row (index = row * cols + col).
+	 * @throws {Error} on unknown values or cells outside the board
+	 */
+	function compileRules(board, rules) {
+		const opts = rules || {};
+		const rows = board.length;
+		const cols = board[0].length;
+		const cellIndex = (cell, what) => {
+			if (!Array.isArray(cell) || cell.length !== 2 || !Number.isInteger(cell[0]) || !Number.isInteger(cell[1])
+				|| cell[0] < 0 || cell[0] >= rows || cell[1] < 0 || cell[1] >= cols) {
+				throw new Error(`${what} must be a [row, col] cell on the ${rows}x${cols} board, got ${JSON.stringify(cell)}`);
+			}
+			return cell[0] * cols + cell[1];
+		};
+
+		const moves = opts.moves || "king";
+		if (moves !== "king" && moves !== "orthogonal") {
+			throw new Error(`moves must be "king" or "orthogonal", got "${moves}"`);
+		}
+		const reuse = opts.reuse || "never";
+		if (reuse !== "never" && reuse !== "notConsecutive") {
+			throw new Error(`reuse must be "never" or "notConsecutive", got "${reuse}"`);
+		}
+
+		const blocked = new Uint8Array(rows * cols);
+		for (const cell of opts.blockedCells || []) {
+			blocked[cellIndex(cell, "blocked cell")] = 1;
+		}
+		const steps = moves === "orthogonal" ? ORTHOGONAL_STEPS : KING_STEPS;
+		const neighbours = [];
+		for (let r = 0; r < rows; r += 1) {
+			for (let c = 0; c < cols; c += 1) {
+				const index = r * cols + c;
+				const list = [];
+				if (!blocked[index]) {
+					for (const [dr, dc] of steps) {
+						let nr = r + dr;
+						let nc = c + dc;
+						if (opts.wrap) {
+							nr = (nr + rows) % rows;
+							nc = (nc + cols) % cols;
+						} else if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) {
+							continue;
+						}
+						const next = nr * cols + nc;
+						// Small wrapped boards can reach the same cell twice, or the cell itself
+						if (next !== index && !blocked[next] && !list.includes(next)) list.push(next);
+					}
+				}
+				neighbours.push(list);
+			}
+		}
+
+		return {
+			rows,
+			cols,
+			blocked,
+			neighbours,
+			reuse: reuse === "notConsecutive",
+			requiredIndex: opts.requiredCell ? cellIndex(opts.requiredCell, "required cell") : -1,
+			requiredLetter: opts.requiredLetter ? String(opts.requiredLetter).toUpperCase() : null,
+		};
+	}
+
+	/**
+	 * Uppercase faces of the board, indexed like compileRules cells.
+	 */
+	function boardFaces(board, compiled) {
+		const faces = [];
+		for (let r = 0; r < compiled.rows; r += 1) {
+			for (let c = 0; c < compiled.cols; c += 1) {
+				faces.push(String(board[r][c]).toUpperCase());
+			}
+		}
+		return faces;
+	}
+
+	/**
+	 * Tracks which cells the current path uses, for the reuse and required-cell/letter rules.
+	 */
+	function createPathUsage(compiled, faces) {
+		const visits = new Uint8Array(faces.length);
+		let letterUses = 0;
+		return {
+			canEnter: (index) => compiled.reuse || visits[index] === 0,
+			enter(index) {
+				visits[index] += 1;
+				if (faces[index] === compiled.requiredLetter) letterUses += 1;
+			},
+			leave(index) {
+				visits[index] -= 1;
+				if (faces[index] === compiled.requiredLetter) letterUses -= 1;
+			},
+			meetsRequirements: () =>
+				(compiled.requiredIndex < 0 || visits[compiled.requiredIndex] > 0) &&
+				(compiled.requiredLetter === null || letterUses > 0),
+		};
+	}
+
+	/**
+	 * Depth-first walk over every path on the board that spells a trie prefix.
+	 * Calls onWord(word, path) for each dictionary word of at least minLength characters,
+	 * where path is the live stack of [row, col] cells (copy it if you keep it).
+	 * Iterative, with one explicit stack per walk, so long paths cannot overflow the call stack
+	 * and each step only allocates the prefix string.
+	 * @param {object} [rules] board rules, see compileRules
+	 */
+	function walkBoard(board, trieRoot, minLength, onWord, rules) {
+		assertBoard(board);
+		const cursor = trieCursor(trieRoot);
+		const compiled = compileRules(board, rules);
+		const faces = boardFaces(board, compiled);
+		const usage = createPathUsage(compiled, faces);
+		const { neighbours } = compiled;
+		const coords = faces.map((_face, index) => [Math.floor(index / compiled.cols), index % compiled.cols]);
+
+		// Stack frames: cell, trie node after its face, prefix spelled so far, next neighbour to try
+		const stackCell = [];
+		const stackNode = [];
+		const stackWord = [];
+		const stackNext = [];
+		const path = [];
+		let depth = 0;
+
+		function enter(index, node, word) {
+			if (!usage.canEnter(index)) return;
+			const face = faces[index];
+			const nextNode = cursor.advance(node, face);
+			if (nextNode === null) return;
+
+			const nextWord = word + face;
+			stackCell[depth] = index;
+			stackNode[depth] = nextNode;
+			stackWord[depth] = nextWord;
+			stackNext[depth] = 0;
+			depth += 1;
+			path.push(coords[index]);
+			usage.enter(index);
+			if (nextWord.length >= minLength && cursor.isWord(nextNode) && usage.meetsRequirements()) {
+				onWord(nextWord, path);
+			}
+		}
+
+		for (let start = 0; start < faces.length; start += 1) {
+			if (compiled.blocked[start]) continue;
+			enter(start, cursor.root, "");
+			while (depth > 0) {
+				const top = depth - 1;
+				const around = neighbours[stackCell[top]];
+				if (stackNext[top] < around.length) {
+					const next = around[stackNext[top]];
+					stackNext[top] += 1;
+					enter(next, stackNode[top], stackWord[top]);
+				} else {
+					usage.leave(stackCell[top]);
+					path.pop();
+					depth -= 1;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Find all valid words on the given board using the provided trie.
+	 * @param {string[][]} board matrix of strings (faces)
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {{ minLength?: number, rules?: object }} options rules: board rules, see compileRules
+	 * @returns {Set<string>} set of found uppercase words
+	 */
+	function findWords(board, trieRoot, options) {
+		const minLength = options && options.minLength ? options.minLength : 3;
+		const found = new Set();
+		walkBoard(board, trieRoot, minLength, (word) => {
+			found.add(word);
+		}, options && options.rules);
+		return found;
+	}
+
+	/**
+	 * Find all valid words on the board together with the cells that spell them.
+	 * A path is a list of [row, col] cells; a multi-letter face ("CZ", "DŻ") is one cell.
+	 * @param {string[][]} board matrix of strings (faces)
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {{ minLength?: number, allPaths?: boolean, rules?: object }} options
+	 *   allPaths: keep every distinct path per word instead of only the first one found
+	 *   rules: board rules, see compileRules
+	 * @returns {Map<string, number[][][]>} word -> list of paths
+	 */
+	function findWordsWithPaths(board, trieRoot, options) {
+		const minLength = options && options.minLength ? options.minLength : 3;
+		const allPaths = Boolean(options && options.allPaths);
+		const found = new Map();
+		walkBoard(board, trieRoot, minLength, (word, path) => {
+			const paths = found.get(word);
+			if (!paths) {
+				found.set(word, [path.map((cell) => cell.slice())]);
+			} else if (allPaths) {
+				paths.push(path.map((cell) => cell.slice()));
+			}
+		}, options && options.rules);
+		return found;
+	}
+
+	/**
+	 * Find one path on the board that spells the given word, without a dictionary.
+	 * @param {string[][]} board matrix of strings (faces)
+	 * @param {string} word
+	 * @param {object} [rules] board rules, see compileRules
+	 * @returns {number[][]|null} list of [row, col] cells, or null if the word is not on the board
+	 */
+	function findWordPath(board, word, rules) {
+		assertBoard(board);
+		const target = String(word).trim().toUpperCase();
+		if (target.length === 0) return null;
+		const compiled = compileRules(board, rules);
+		const faces = boardFaces(board, compiled);
+		const usage = createPathUsage(compiled, faces);
+		const path = [];
+
+		function dfs(index, offset) {
+			if (!usage.canEnter(index)) return false;
+			const face = faces[index];
+			if (face.length === 0 || !target.startsWith(face, offset)) return false;
+
+			path.push([Math.floor(index / compiled.cols), index % compiled.cols]);
+			usage.enter(index);
+			const nextOffset = offset + face.length;
+			if (nextOffset === target.length && usage.meetsRequirements()) return true;
+
+			if (nextOffset < target.length) {
+				for (const next of compiled.neighbours[index]) {
+					if (dfs(next, nextOffset)) return true;
+				}
+			}
+			usage.leave(index);
+			path.pop();
+			return false;
+		}
+
+		for (let index = 0; index < faces.length; index += 1) {
+			if (!compiled.blocked[index] && dfs(index, 0)) return path;
+		}
+		return null;
+	}
+
+	/**
+	 * Check that a claimed path is legal on the board and spells the given word:
+	 * cells in bounds, each adjacent to the previous one, and none used twice
+	 * (or as the rules allow).
+	 * @param {string[][]} board matrix of strings (faces)
+	 * @param {string} word
+	 * @param {number[][]} path list of [row, col] cells
+	 * @param {object} [rules] board rules, see compileRules
+	 * @returns {boolean}
+	 */
+	function isValidPath(board, word, path, rules) {
+		assertBoard(board);
+		if (!Array.isArray(path) || path.length === 0) return false;
+		const compiled = compileRules(board, rules);
+		const faces = boardFaces(board, compiled);
+		const usage = createPathUsage(compiled, faces);
+		let spelled = "";
+		let previous = -1;
+		for (const cell of path) {
+			if (!Array.isArray(cell) || cell.length !== 2) return false;
+			const [r, c] = cell;
+			if (!Number.isInteger(r) || !Number.isInteger(c)) return false;
+			if (r < 0 || r >= compiled.rows || c < 0 || c >= compiled.cols) return false;
+			const index = r * compiled.cols + c;
+			if (compiled.blocked[index] || !usage.canEnter(index)) return false;
+			if (previous >= 0 && !compiled.neighbours[previous].includes(index)) return false;
+			usage.enter(index);
+			spelled += faces[index];
+			previous = index;
+		}
+		return usage.meetsRequirements() && spelled === String(word).trim().toUpperCase();
+	}
+
+	/**
+	 * Sort words short->long, alphabetically within the same length.
+	 * @param {Iterable<string>} words
+	 * @returns {string[]} new sorted array
+	 */
+	function sortWords(words) {
+		return Array.from(words).sort((a, b) => (a.length === b.length ? (a < b ? -1 : 1) : a.length - b.length));
+	}
+
+	/**
+	 * Solve a board given a dictionary array. Convenience wrapper around buildTrie/findWords.
+	 * @param {string[][]} board
+	 * @param {string[]} dictionary list of lowercase/uppercase words
+	 * @param {{ minLength?: number, paths?: "first"|"all", rules?: object }} options
+	 *   paths: return { word, paths } entries (one or every path per word) instead of plain words
+	 *   rules: board rules, see compileRules
+	 * @returns {string[]|{word: string, paths: number[][][]}[]} sorted list of unique uppercase words
+	 */
+	function solveBoard(board, dictionary, options) {
+		const opts = options || {};
+		const trie = buildTrie(dictionary || []);
+		if (opts.paths) {
+			const found = findWordsWithPaths(board, trie, { minLength: opts.minLength, allPaths: opts.paths === "all", rules: opts.rules });
+			return sortWords(found.keys()).map((word) => ({ word, paths: found.get(word) }));
+		}
+		const set = findWords(board, trie, opts);
+		return sortWords(set);
+	}
 
+	const api = {
+		DICE_SETS,
+		DEFAULT_POLISH_DICE,
+		EXTENDED_POLISH_DICE,
+		useDiceSets,
+		loadDiceSets,
+		getDiceSet,
+		findDiceSetFor,
+		getDiceForBoardSize,
+		createSeededRandom,
+		generateBoard,
+		generateBoardWithWords,
+		fewestFaces,
+		formatBoardCode,
+		parseBoardCode,
+		isBoardCode,
+		buildTrie,
+		trieCursor,
+		trieHasWord,
+		findPatternWords,
+		findAnagrams,
+		findPrefixWords,
+		compileRules,
+		findWords,
+		findWordsWithPaths,
+		findWordPath,
+		isValidPath,
+		sortWords,
+		solveBoard,
+	};
 
+	if (initialDiceSets) useDiceSets(initialDiceSets);
+	return api;
+});
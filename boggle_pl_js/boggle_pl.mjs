@@ -0,0 +1,47 @@
+// ES module entry for boggle_pl.js, shared by Node (`import ... from "./boggle_pl.mjs"`)
+// and the pages (`<script type="module">`). The code itself stays in the UMD boggle_pl.js,
+// so require("./boggle_pl") keeps working; in the browser dice_sets.json is fetched here first.
+
+import "./dice_sets.js";
+import * as boggleModule from "./boggle_pl.js";
+
+// Node hands the CommonJS exports over as the default export; the browser runs the UMD wrapper,
+// which sets the global instead
+const api = boggleModule.default || globalThis.BogglePl;
+
+if (!api.DICE_SETS) {
+	await api.loadDiceSets(new URL("./dice_sets.json", import.meta.url).href);
+}
+
+export const {
+	DICE_SETS,
+	DEFAULT_POLISH_DICE,
+	EXTENDED_POLISH_DICE,
+	useDiceSets,
+	loadDiceSets,
+	getDiceSet,
+	findDiceSetFor,
+	getDiceForBoardSize,
+	createSeededRandom,
+	generateBoard,
+	generateBoardWithWords,
+	fewestFaces,
+	formatBoardCode,
+	parseBoardCode,
+	isBoardCode,
+	buildTrie,
+	trieCursor,
+	trieHasWord,
+	findPatternWords,
+	findAnagrams,
+	findPrefixWords,
+	compileRules,
+	findWords,
+	findWordsWithPaths,
+	findWordPath,
+	isValidPath,
+	sortWords,
+	solveBoard,
+} = api;
+
+export default api;
@@ -0,0 +1,89 @@
+"use strict";
+
+// Compact dictionaries for the offline web app (new3.html): writes each language's DAWG
+// (dawg.js binary format, normalized like the Node solver) to web_dictionaries/<code>.dawg.
+// The page's solver worker fetches these and falls back to the plain word list when one is missing.
+
+const fs = require("fs");
+const path = require("path");
+
+const { nowNs, formatTime, loadOrBuildTrie } = require("./dictionary_loader");
+const { DICTIONARIES, resolveDictionary } = require("./dictionaries");
+
+const OUTPUT_DIR = path.join(__dirname, "web_dictionaries");
+
+function showHelp() {
+	console.log(`
+Web Dictionary Builder
+
+USAGE:
+  node build_web_dictionaries.js [OPTIONS] [LANG=DICTIONARY_FILE ...]
+
+OPTIONS:
+  -h, --help          Show this help message
+  -v, --verbose       Show cache operations
+
+Writes ${path.relative(process.cwd(), OUTPUT_DIR) || "."}/<language>.dawg for every language whose
+word list exists; defaults from dictionaries.js.
+
+EXAMPLES:
+  node build_web_dictionaries.js
+  node build_web_dictionaries.js eng=words.txt
+`);
+	process.exit(0);
+}
+
+async function main() {
+	const args = process.argv.slice(2);
+	if (args.includes("-h") || args.includes("--help")) {
+		showHelp();
+	}
+
+	const options = { verbose: false, dictionaries: {} };
+	for (const arg of args) {
+		if (arg === "-v" || arg === "--verbose") {
+			options.verbose = true;
+		} else if (/^[a-z]+=.+/.test(arg)) {
+			const eq = arg.indexOf("=");
+			const lang = arg.slice(0, eq);
+			if (!DICTIONARIES[lang]) {
+				console.error(`Error: Unknown language: ${lang} (known: ${Object.keys(DICTIONARIES).join(", ")})`);
+				process.exit(1);
+			}
+			options.dictionaries[lang] = path.resolve(arg.slice(eq + 1));
+		} else {
+			console.error(`Error: Unknown argument: ${arg}`);
+			console.error("Use -h or --help for usage information");
+			process.exit(1);
+		}
+	}
+
+	fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+	let written = 0;
+	for (const code of Object.keys(DICTIONARIES)) {
+		const dictionary = resolveDictionary(code, { file: options.dictionaries[code] });
+		if (!fs.existsSync(dictionary.path)) {
+			console.log(`${code}: skipped, no word list at ${dictionary.path}`);
+			continue;
+		}
+		const t0 = nowNs();
+		const dawg = await loadOrBuildTrie(dictionary.path, options.verbose, dictionary);
+		if (!dawg) {
+			console.error(`Error: Could not load dictionary for ${code} from ${dictionary.path}`);
+			process.exit(1);
+		}
+		const file = path.join(OUTPUT_DIR, `${code}.dawg`);
+		const bytes = dawg.toBuffer();
+		fs.writeFileSync(file, bytes);
+		written++;
+		console.log(`${code}: ${dawg.wordCount} words, ${(bytes.length / 1024).toFixed(1)}KB in ${formatTime(nowNs() - t0)} -> ${file}`);
+	}
+	if (written === 0) {
+		console.error("Error: No word lists found");
+		process.exit(1);
+	}
+}
+
+if (require.main === module) {
+	main();
+}
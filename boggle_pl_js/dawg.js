@@ -0,0 +1,423 @@
+"use strict";
+
+// Minimized DAWG (directed acyclic word graph) for the dictionary.
+// - Built incrementally from sorted words (Daciuk et al.), so shared suffixes are stored once
+//   and the full object trie never has to exist in memory.
+// - createStreamingDawgBuilder takes words in any order (e.g. line by line from a file) without
+//   collecting the whole list first.
+// - Stored as flat typed arrays; findWords/trieHasWord in boggle_pl.js walk it through advance/isWord.
+// - Serializes to a versioned binary format used by the trie cache.
+// - Node: require("./dawg"). Browser: <script src="boggle_pl_js/dawg.js"> exposes window.BoggleDawg
+//   (everything but toBuffer, which needs Node's Buffer).
+
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.BoggleDawg = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	const DAWG_MAGIC = "BOGLDAWG";
+	const DAWG_VERSION = 1;
+	const HEADER_SIZE = 32;
+
+	/**
+	 * Read-only DAWG over flat arrays. Node 0 is the root; node ids are plain integers.
+	 * Edges of node n are edgeChar/edgeTarget[nodeEdgeStart[n] .. nodeEdgeStart[n + 1]), sorted by char.
+	 */
+	class Dawg {
+		/**
+		 * @param {{ nodeEdgeStart: Uint32Array, nodeIsWord: Uint8Array, edgeChar: Uint16Array, edgeTarget: Uint32Array, wordCount: number }} arrays
+		 */
+		constructor(arrays) {
+			this.nodeEdgeStart = arrays.nodeEdgeStart;
+			this.nodeIsWord = arrays.nodeIsWord;
+			this.edgeChar = arrays.edgeChar;
+			this.edgeTarget = arrays.edgeTarget;
+			this.wordCount = arrays.wordCount;
+			this.root = 0;
+		}
+
+		get nodeCount() {
+			return this.nodeIsWord.length;
+		}
+
+		get edgeCount() {
+			return this.edgeChar.length;
+		}
+
+		/**
+		 * Follow the edge for a single UTF-16 code unit.
+		 * @returns {number|null} child node id, or null if there is no such edge
+		 */
+		child(node, charCode) {
+			const end = this.nodeEdgeStart[node + 1];
+			for (let e = this.nodeEdgeStart[node]; e < end; e += 1) {
+				const ch = this.edgeChar[e];
+				if (ch === charCode) return this.edgeTarget[e];
+				if (ch > charCode) return null;
+			}
+			return null;
+		}
+
+		/**
+		 * Advance by a string segment (which may be multi-char, e.g., "CZ").
+		 * @returns {number|null} node after consuming the segment, or null if not a valid prefix
+		 */
+		advance(node, segment) {
+			let current = node;
+			for (let i = 0; i < segment.length && current !== null; i += 1) {
+				current = this.child(current, segment.charCodeAt(i));
+			}
+			return current;
+		}
+
+		isWord(node) {
+			return this.nodeIsWord[node] === 1;
+		}
+
+		/**
+		 * Call fn(char, child) for each edge of a node, in code-unit order.
+		 */
+		forEachChild(node, fn) {
+			const end = this.nodeEdgeStart[node + 1];
+			for (let e = this.nodeEdgeStart[node]; e < end; e += 1) {
+				fn(String.fromCharCode(this.edgeChar[e]), this.edgeTarget[e]);
+			}
+		}
+
+		/**
+		 * Serialize to the versioned binary format (little-endian).
+		 * @returns {Buffer}
+		 */
+		toBuffer() {
+			assertLittleEndian();
+			const nodeCount = this.nodeCount;
+			const edgeCount = this.edgeCount;
+			const layout = computeLayout(nodeCount, edgeCount);
+			const buffer = Buffer.alloc(layout.totalSize);
+			buffer.write(DAWG_MAGIC, 0, "latin1");
+			buffer.writeUInt32LE(DAWG_VERSION, 8);
+			buffer.writeUInt32LE(nodeCount, 12);
+			buffer.writeUInt32LE(edgeCount, 16);
+			buffer.writeUInt32LE(this.wordCount, 20);
+			const copy = (typed, offset) => {
+				Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength).copy(buffer, offset);
+			};
+			copy(this.nodeEdgeStart, layout.nodeEdgeStart);
+			copy(this.edgeTarget, layout.edgeTarget);
+			copy(this.edgeChar, layout.edgeChar);
+			copy(this.nodeIsWord, layout.nodeIsWord);
+			return buffer;
+		}
+
+		/**
+		 * Load a DAWG from bytes produced by toBuffer. The typed arrays view a single copy of the data.
+		 * @param {Uint8Array} bytes
+		 * @param {{ shared?: boolean }} [options] shared: back the arrays with a SharedArrayBuffer;
+		 *   bytes that already view the start of one (e.g. in a worker thread) are used without copying
+		 * @returns {Dawg}
+		 * @throws {Error} if the magic, version or size do not match
+		 */
+		static fromBuffer(bytes, options = {}) {
+			assertLittleEndian();
+			const header = readDawgHeader(bytes);
+			if (!header) {
+				throw new Error("not a DAWG file");
+			}
+			if (header.version !== DAWG_VERSION) {
+				throw new Error(`unsupported DAWG version ${header.version} (expected ${DAWG_VERSION})`);
+			}
+			const layout = computeLayout(header.nodeCount, header.edgeCount);
+			if (bytes.length < layout.totalSize) {
+				throw new Error(`DAWG file is truncated (${bytes.length} of ${layout.totalSize} bytes)`);
+			}
+			let backing;
+			if (options.shared && isSharedBuffer(bytes.buffer) && bytes.byteOffset === 0) {
+				backing = bytes.buffer;
+			} else {
+				// Copy into a fresh, aligned buffer so the typed arrays can view it directly
+				backing = options.shared ? new SharedArrayBuffer(layout.totalSize) : new ArrayBuffer(layout.totalSize);
+				new Uint8Array(backing).set(bytes.subarray(0, layout.totalSize));
+			}
+			return new Dawg({
+				nodeEdgeStart: new Uint32Array(backing, layout.nodeEdgeStart, header.nodeCount + 1),
+				edgeTarget: new Uint32Array(backing, layout.edgeTarget, header.edgeCount),
+				edgeChar: new Uint16Array(backing, layout.edgeChar, header.edgeCount),
+				nodeIsWord: new Uint8Array(backing, layout.nodeIsWord, header.nodeCount),
+				wordCount: header.wordCount,
+			});
+		}
+	}
+
+	function assertLittleEndian() {
+		if (new Uint8Array(new Uint16Array([1]).buffer)[0] !== 1) {
+			throw new Error("the DAWG binary format requires a little-endian platform");
+		}
+	}
+
+	function isSharedBuffer(buffer) {
+		return typeof SharedArrayBuffer !== "undefined" && buffer instanceof SharedArrayBuffer;
+	}
+
+	function align4(n) {
+		return (n + 3) & ~3;
+	}
+
+	function computeLayout(nodeCount, edgeCount) {
+		const nodeEdgeStart = HEADER_SIZE;
+		const edgeTarget = nodeEdgeStart + (nodeCount + 1) * 4;
+		const edgeChar = edgeTarget + edgeCount * 4;
+		const nodeIsWord = align4(edgeChar + edgeCount * 2);
+		const totalSize = align4(nodeIsWord + nodeCount);
+		return { nodeEdgeStart, edgeTarget, edgeChar, nodeIsWord, totalSize };
+	}
+
+	/**
+	 * Read the header of a DAWG file.
+	 * @param {Uint8Array} bytes
+	 * @returns {{ version: number, nodeCount: number, edgeCount: number, wordCount: number }|null} null if the magic does not match
+	 */
+	function readDawgHeader(bytes) {
+		if (!bytes || bytes.length < HEADER_SIZE) return null;
+		const view = new DataView(bytes.buffer, bytes.byteOffset, HEADER_SIZE);
+		for (let i = 0; i < DAWG_MAGIC.length; i += 1) {
+			if (view.getUint8(i) !== DAWG_MAGIC.charCodeAt(i)) return null;
+		}
+		return {
+			version: view.getUint32(8, true),
+			nodeCount: view.getUint32(12, true),
+			edgeCount: view.getUint32(16, true),
+			wordCount: view.getUint32(20, true),
+		};
+	}
+
+	function compareCodeUnits(a, b) {
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+
+	/**
+	 * Incremental DAWG construction: words must be added in code-unit order (buildDawg sorts them first).
+	 * Only the path of the last word stays unminimized, so memory follows the DAWG, not the word list.
+	 * @returns {{ add: function(string): void, lastWord: function(): string, finish: function(): Dawg }}
+	 *   add skips a repeat of the last word and throws if a word sorts before it
+	 */
+	function createDawgBuilder() {
+		// Construction nodes: { id, isWord, chars: number[], children: node[] }; id is set once registered
+		const newNode = () => ({ id: -1, isWord: false, chars: [], children: [] });
+		const root = newNode();
+		const register = new Map();
+		const unchecked = []; // path of not-yet-minimized nodes: { parent, child }
+		let nextId = 0;
+		let wordCount = 0;
+		let previous = "";
+
+		function signature(node) {
+			let sig = node.isWord ? "1" : "0";
+			for (let i = 0; i < node.chars.length; i += 1) {
+				sig += `,${node.chars[i]}:${node.children[i].id}`;
+			}
+			return sig;
+		}
+
+		function minimize(downTo) {
+			while (unchecked.length > downTo) {
+				const { parent, child } = unchecked.pop();
+				const sig = signature(child);
+				const existing = register.get(sig);
+				if (existing) {
+					parent.children[parent.children.length - 1] = existing;
+				} else {
+					child.id = nextId++;
+					register.set(sig, child);
+				}
+			}
+		}
+
+		function add(word) {
+			if (word === previous) return;
+			if (wordCount > 0 && compareCodeUnits(word, previous) < 0) {
+				throw new Error(`words must be added in sorted order: "${word}" after "${previous}"`);
+			}
+			let common = 0;
+			while (common < word.length && common < previous.length && word[common] === previous[common]) {
+				common += 1;
+			}
+			minimize(common);
+
+			let node = unchecked.length ? unchecked[unchecked.length - 1].child : root;
+			for (let i = common; i < word.length; i += 1) {
+				const child = newNode();
+				node.chars.push(word.charCodeAt(i));
+				node.children.push(child);
+				unchecked.push({ parent: node, child });
+				node = child;
+			}
+			node.isWord = true;
+			wordCount += 1;
+			previous = word;
+		}
+
+		function finish() {
+			minimize(0);
+
+			// Flatten: root gets index 0, every other distinct node one index in BFS order
+			const order = [root];
+			const index = new Map([[root, 0]]);
+			let edgeCount = 0;
+			for (let i = 0; i < order.length; i += 1) {
+				const node = order[i];
+				edgeCount += node.chars.length;
+				for (const child of node.children) {
+					if (!index.has(child)) {
+						index.set(child, order.length);
+						order.push(child);
+					}
+				}
+			}
+
+			const nodeEdgeStart = new Uint32Array(order.length + 1);
+			const nodeIsWord = new Uint8Array(order.length);
+			const edgeChar = new Uint16Array(edgeCount);
+			const edgeTarget = new Uint32Array(edgeCount);
+			let e = 0;
+			for (let i = 0; i < order.length; i += 1) {
+				const node = order[i];
+				nodeEdgeStart[i] = e;
+				nodeIsWord[i] = node.isWord ? 1 : 0;
+				for (let k = 0; k < node.chars.length; k += 1) {
+					edgeChar[e] = node.chars[k];
+					edgeTarget[e] = index.get(node.children[k]);
+					e += 1;
+				}
+			}
+			nodeEdgeStart[order.length] = e;
+
+			return new Dawg({ nodeEdgeStart, nodeIsWord, edgeChar, edgeTarget, wordCount });
+		}
+
+		return { add, lastWord: () => previous, finish };
+	}
+
+	/**
+	 * Build a minimized DAWG from a list of words. Words are uppercased and trimmed, like buildTrie.
+	 * @param {string[]} words
+	 * @returns {Dawg}
+	 */
+	function buildDawg(words) {
+		const normalized = [];
+		for (const raw of words) {
+			if (!raw) continue;
+			const word = String(raw).trim().toUpperCase();
+			if (word.length > 0) normalized.push(word);
+		}
+		normalized.sort(compareCodeUnits);
+
+		const builder = createDawgBuilder();
+		for (const word of normalized) builder.add(word);
+		return builder.finish();
+	}
+
+	/**
+	 * Every word of the DAWG, in code-unit order (edges are sorted, so a depth-first walk is enough).
+	 * @param {Dawg} dawg
+	 * @returns {Generator<string>}
+	 */
+	function* dawgWords(dawg) {
+		const chars = [];
+		const stack = [[dawg.root, dawg.nodeEdgeStart[dawg.root]]]; // [node, next edge]
+		if (dawg.isWord(dawg.root)) yield "";
+		while (stack.length > 0) {
+			const top = stack[stack.length - 1];
+			const [node, edge] = top;
+			if (edge >= dawg.nodeEdgeStart[node + 1]) {
+				stack.pop();
+				chars.pop();
+				continue;
+			}
+			top[1] = edge + 1;
+			const child = dawg.edgeTarget[edge];
+			chars.push(dawg.edgeChar[edge]);
+			if (dawg.isWord(child)) yield String.fromCharCode(...chars);
+			stack.push([child, dawg.nodeEdgeStart[child]]);
+		}
+	}
+
+	/**
+	 * Merge DAWGs into one holding every word of each.
+	 * @param {Dawg[]} dawgs
+	 * @returns {Dawg}
+	 */
+	function mergeDawgs(dawgs) {
+		if (dawgs.length === 1) return dawgs[0];
+		const builder = createDawgBuilder();
+		const sources = dawgs.map((dawg) => dawgWords(dawg));
+		const heads = sources.map((source) => source.next());
+		for (;;) {
+			let smallest = -1;
+			for (let i = 0; i < heads.length; i += 1) {
+				if (heads[i].done) continue;
+				if (smallest < 0 || compareCodeUnits(heads[i].value, heads[smallest].value) < 0) smallest = i;
+			}
+			if (smallest < 0) break;
+			builder.add(heads[smallest].value);
+			heads[smallest] = sources[smallest].next();
+		}
+		return builder.finish();
+	}
+
+	/**
+	 * Builder for words that arrive in any order, e.g. streamed line by line from a word list sorted
+	 * by locale rather than by code unit. Words are buffered in chunks; each full chunk is sorted and
+	 * turned into a DAWG, and DAWGs are merged pairwise as they pile up (like a binary counter), so
+	 * at most one chunk of plain strings is held at a time. Words are added as given (no trimming).
+	 * @param {{ chunkSize?: number }} [options] chunkSize: words per chunk (default 100000)
+	 * @returns {{ add: function(string): void, finish: function(): Dawg }}
+	 */
+	function createStreamingDawgBuilder(options = {}) {
+		const chunkSize = options.chunkSize || 100000;
+		let chunk = [];
+		const levels = []; // levels[i]: DAWG of 2^i chunks, or null
+
+		function flush() {
+			if (chunk.length === 0) return;
+			chunk.sort(compareCodeUnits);
+			const builder = createDawgBuilder();
+			for (const word of chunk) builder.add(word);
+			chunk = [];
+			let carry = builder.finish();
+			let level = 0;
+			while (levels[level]) {
+				carry = mergeDawgs([levels[level], carry]);
+				levels[level] = null;
+				level += 1;
+			}
+			levels[level] = carry;
+		}
+
+		function add(word) {
+			chunk.push(word);
+			if (chunk.length >= chunkSize) flush();
+		}
+
+		function finish() {
+			flush();
+			const dawgs = levels.filter(Boolean);
+			return dawgs.length > 0 ? mergeDawgs(dawgs) : createDawgBuilder().finish();
+		}
+
+		return { add, finish };
+	}
+
+	return {
+		DAWG_MAGIC,
+		DAWG_VERSION,
+		Dawg,
+		createDawgBuilder,
+		buildDawg,
+		dawgWords,
+		mergeDawgs,
+		createStreamingDawgBuilder,
+		readDawgHeader,
+	};
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+// Dice set loader and validator for dice_sets.json, shared by Node and the browser.
+// - Node: require("./dice_sets") and loadDiceSetsFromFile().
+// - Browser: <script src="boggle_pl_js/dice_sets.js"> exposes window.BoggleDice; use loadDiceSetsFromUrl().
+// - Faces may be multi-letter tokens ("CZ", "QU"); each must be in its language's alphabet.
+
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.BoggleDice = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	const DICE_SETS_VERSION = 1;
+	const FACES_PER_DIE = 6;
+
+	/**
+	 * Check one dice set against its language's alphabet.
+	 * @param {{ id: string, language: string, rows: number, cols: number, dice: string[][] }} set
+	 * @param {Object<string, { alphabet: string[] }>} languages
+	 * @returns {string[]} problems found, empty if the set is valid
+	 */
+	function validateDiceSet(set, languages) {
+		const errors = [];
+		const id = set && set.id ? set.id : "(no id)";
+		if (!set || typeof set.id !== "string" || set.id.length === 0) {
+			errors.push(`${id}: missing id`);
+			return errors;
+		}
+		const language = languages && languages[set.language];
+		if (!language) {
+			errors.push(`${id}: unknown language "${set.language}"`);
+		}
+		if (!Number.isInteger(set.rows) || !Number.isInteger(set.cols) || set.rows < 1 || set.cols < 1) {
+			errors.push(`${id}: rows and cols must be positive integers`);
+		} else if (!Array.isArray(set.dice) || set.dice.length !== set.rows * set.cols) {
+			const count = Array.isArray(set.dice) ? set.dice.length : 0;
+			errors.push(`${id}: has ${count} dice, expected ${set.rows * set.cols} for ${set.rows}x${set.cols}`);
+		}
+		const alphabet = new Set(language ? language.alphabet : []);
+		(Array.isArray(set.dice) ? set.dice : []).forEach((die, i) => {
+			if (!Array.isArray(die) || die.length !== FACES_PER_DIE) {
+				errors.push(`${id}: die ${i + 1} must have exactly ${FACES_PER_DIE} faces`);
+				return;
+			}
+			for (const face of die) {
+				if (language && !alphabet.has(String(face).toUpperCase())) {
+					errors.push(`${id}: die ${i + 1} has face "${face}" outside the ${set.language} alphabet`);
+				}
+			}
+		});
+		return errors;
+	}
+
+	/**
+	 * Validate and index parsed dice_sets.json data.
+	 * @param {object} data parsed JSON
+	 * @returns {{ version: number, languages: Object<string, {name: string, alphabet: string[]}>, sets: object[], byId: Object<string, object> }}
+	 * @throws {Error} listing every problem if the data is invalid
+	 */
+	function parseDiceSets(data) {
+		if (!data || data.version !== DICE_SETS_VERSION) {
+			throw new Error(`unsupported dice sets version: ${data && data.version} (expected ${DICE_SETS_VERSION})`);
+		}
+		const languages = {};
+		for (const code of Object.keys(data.languages || {})) {
+			const language = data.languages[code];
+			languages[code] = {
+				name: language.name || code,
+				alphabet: (language.alphabet || []).map((letter) => String(letter).toUpperCase()),
+			};
+		}
+
+		const errors = [];
+		const sets = [];
+		const byId = {};
+		for (const raw of data.sets || []) {
+			const set = Object.assign({}, raw, {
+				dice: Array.isArray(raw.dice)
+					? raw.dice.map((die) => (Array.isArray(die) ? die.map((face) => String(face).toUpperCase()) : die))
+					: raw.dice,
+			});
+			errors.push(...validateDiceSet(set, languages));
+			if (byId[set.id]) errors.push(`${set.id}: duplicate id`);
+			byId[set.id] = set;
+			sets.push(set);
+		}
+		if (errors.length > 0) {
+			throw new Error(`invalid dice sets:\n  ${errors.join("\n  ")}`);
+		}
+		return { version: data.version, languages, sets, byId };
+	}
+
+	/**
+	 * Find the first dice set matching the given language and/or size.
+	 * @param {{ sets: object[] }} diceSets result of parseDiceSets
+	 * @param {{ language?: string, rows?: number, cols?: number }} query
+	 * @returns {object|null}
+	 */
+	function findDiceSet(diceSets, query) {
+		return diceSets.sets.find((set) =>
+			(!query.language || set.language === query.language) &&
+			(!query.rows || set.rows === query.rows) &&
+			(!query.cols || set.cols === query.cols)
+		) || null;
+	}
+
+	/**
+	 * Node: read and validate a dice sets file (defaults to dice_sets.json next to this module).
+	 */
+	function loadDiceSetsFromFile(filePath) {
+		const fs = require("fs");
+		const path = require("path");
+		const file = filePath || path.join(__dirname, "dice_sets.json");
+		return parseDiceSets(JSON.parse(fs.readFileSync(file, "utf8")));
+	}
+
+	/**
+	 * Browser: fetch and validate a dice sets file.
+	 * @returns {Promise<object>} result of parseDiceSets
+	 */
+	function loadDiceSetsFromUrl(url) {
+		return fetch(url).then((response) => {
+			if (!response.ok) throw new Error(`could not load dice sets from ${url}: HTTP ${response.status}`);
+			return response.json();
+		}).then(parseDiceSets);
+	}
+
+	return {
+		DICE_SETS_VERSION,
+		validateDiceSet,
+		parseDiceSets,
+		findDiceSet,
+		loadDiceSetsFromFile,
+		loadDiceSetsFromUrl,
+	};
+});
@@ -0,0 +1,179 @@
+"use strict";
+
+// Dictionary registry keyed by language code (the same codes as dice_sets.json).
+// - Each entry names its word list file and how words are normalized before they enter the trie.
+// - Board faces must go through the same normalizer (normalizeBoard) so both sides spell letters alike.
+// - Node: require("./dictionaries"). Browser: <script src="boggle_pl_js/dictionaries.js"> exposes
+//   window.BoggleDictionaries (everything but resolveDictionary, which resolves files on disk).
+
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.BoggleDictionaries = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	/**
+	 * Registry entries.
+	 * - file: word list, relative to this directory unless absolute
+	 * - locale: used for case folding (toLocaleUpperCase)
+	 * - foldAccents: strip diacritics, so e.g. "Á" and "A" are the same letter
+	 * - keep: letters that foldAccents leaves alone (e.g. Spanish "Ñ")
+	 * - fold: explicit letter replacements applied after upper-casing (e.g. Russian "Ё" -> "Е")
+	 * - wordUrl: where to look a word up, "{word}" is replaced by the lower-case word
+	 */
+	const DICTIONARIES = {
+		pol: {
+			name: "Polish", file: "pl_sjp.pl.txt", locale: "pl",
+			foldAccents: false, keep: [], fold: {},
+			wordUrl: "http://sjp.pl/{word}",
+		},
+		eng: {
+			name: "English", file: "en.txt", locale: "en",
+			foldAccents: true, keep: [], fold: {},
+			wordUrl: "https://en.wiktionary.org/wiki/{word}",
+		},
+		spa: {
+			name: "Spanish", file: "es.txt", locale: "es",
+			foldAccents: false, keep: ["Ñ"], fold: {},
+			wordUrl: "https://dle.rae.es/{word}",
+		},
+		rus: {
+			name: "Russian", file: "ru.txt", locale: "ru",
+			foldAccents: false, keep: [], fold: { "Ё": "Е" },
+			wordUrl: "https://ru.wiktionary.org/wiki/{word}",
+		},
+		ukr: {
+			name: "Ukrainian", file: "uk.txt", locale: "uk",
+			foldAccents: false, keep: [], fold: {},
+			wordUrl: "https://uk.wiktionary.org/wiki/{word}",
+		},
+		afr: {
+			name: "Afrikaans", file: "af.txt", locale: "af",
+			foldAccents: true, keep: [], fold: {},
+			wordUrl: "https://af.wiktionary.org/wiki/{word}",
+		},
+	};
+
+	const DEFAULT_LANGUAGE = "pol";
+
+	/**
+	 * Map a dice set or page language key ("pol55", "eng", "pol6") to its language code.
+	 * @returns {string|null} code, or null if the key is not of that shape
+	 */
+	function languageFromKey(languageKey) {
+		const match = /^([a-z]+)\d*$/.exec(languageKey);
+		return match ? match[1] : null;
+	}
+
+	/**
+	 * Parse a fold spec like "Ё=Е,Ñ=N" (or "none" for no replacements).
+	 * @param {string} spec
+	 * @returns {Object<string, string>}
+	 * @throws {Error} on a malformed pair
+	 */
+	function parseFoldSpec(spec) {
+		const fold = {};
+		if (!spec || spec === "none") return fold;
+		for (const pair of String(spec).split(",")) {
+			const [from, to, extra] = pair.split("=");
+			if (!from || to === undefined || extra !== undefined) {
+				throw new Error(`invalid fold "${pair}" (expected FROM=TO)`);
+			}
+			fold[from.toUpperCase()] = to.toUpperCase();
+		}
+		return fold;
+	}
+
+	/**
+	 * Resolve a registry entry with optional overrides (file, foldAccents, keep, fold).
+	 * @param {string} language e.g. "spa"
+	 * @param {object} [overrides]
+	 * @returns {{ code: string, name: string, path: string, locale: string, foldAccents: boolean, keep: string[],
+	 *   fold: Object<string, string>, normalize: function(string): string, cacheKey: string }}
+	 * @throws {Error} for an unknown language
+	 */
+	function resolveDictionary(language, overrides = {}) {
+		const base = DICTIONARIES[language];
+		if (!base) {
+			throw new Error(`unknown language: ${language} (known: ${Object.keys(DICTIONARIES).join(", ")})`);
+		}
+		const entry = Object.assign({ code: language }, base);
+		for (const key of Object.keys(overrides)) {
+			if (overrides[key] !== undefined && overrides[key] !== null) entry[key] = overrides[key];
+		}
+		entry.path = require("path").resolve(__dirname, entry.file);
+		entry.normalize = createNormalizer(entry);
+		// Mixed into the trie cache key, so differently normalized tries of one file do not collide
+		entry.cacheKey = JSON.stringify([language, entry.locale, entry.foldAccents, entry.keep, entry.fold]);
+		return entry;
+	}
+
+	/**
+	 * Create the word normalizer for an entry: NFC, trim, locale upper-case, then folding.
+	 * @param {{ locale?: string, foldAccents?: boolean, keep?: string[], fold?: Object<string, string> }} entry
+	 * @returns {function(string): string}
+	 */
+	function createNormalizer(entry) {
+		const keep = new Set(entry.keep || []);
+		const fold = entry.fold || {};
+		const hasFold = Object.keys(fold).length > 0;
+		return function normalize(word) {
+			const upper = String(word).normalize("NFC").trim().toLocaleUpperCase(entry.locale);
+			if (!hasFold && !entry.foldAccents) return upper;
+			let out = "";
+			for (const ch of upper) {
+				if (Object.prototype.hasOwnProperty.call(fold, ch)) {
+					out += fold[ch];
+				} else if (entry.foldAccents && !keep.has(ch)) {
+					out += ch.normalize("NFD").replace(/\p{M}/gu, "");
+				} else {
+					out += ch;
+				}
+			}
+			return out;
+		};
+	}
+
+	/**
+	 * Apply a normalizer to every face of a board, returning a new board.
+	 * @param {string[][]} board
+	 * @param {function(string): string} normalize
+	 * @returns {string[][]}
+	 */
+	function normalizeBoard(board, normalize) {
+		return board.map((row) => row.map((face) => normalize(face)));
+	}
+
+	/**
+	 * Entries of one word list line: the line itself, or each comma-separated item on sjp.pl-style
+	 * lines ("kot, kota, kotem"). Entries are trimmed; empty ones are skipped.
+	 * @param {string} line
+	 * @returns {string[]}
+	 */
+	function wordListEntries(line) {
+		return line.split(",").map((item) => item.trim()).filter(Boolean);
+	}
+
+	/**
+	 * Lookup URL for a word in the entry's online dictionary.
+	 * @param {{ locale: string, wordUrl: string }} entry
+	 * @param {string} word
+	 * @returns {string}
+	 */
+	function wordUrl(entry, word) {
+		return entry.wordUrl.replace("{word}", word.toLocaleLowerCase(entry.locale));
+	}
+
+	return {
+		DICTIONARIES,
+		DEFAULT_LANGUAGE,
+		languageFromKey,
+		parseFoldSpec,
+		resolveDictionary,
+		createNormalizer,
+		normalizeBoard,
+		wordListEntries,
+		wordUrl,
+	};
+});
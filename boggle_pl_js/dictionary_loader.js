@@ -0,0 +1,143 @@
+"use strict";
+
+// Dictionary loading shared by the CLI, the servers and the scripts: a word list becomes a DAWG,
+// read from the cache (trie_cache.js) when possible, else streamed from the file (word_lists.js)
+// and cached. Verbose mode logs each step with its timing.
+
+const fs = require("fs");
+
+const { describeWordFilter, loadWordListDawg } = require("./word_lists");
+const { lookupCache, storeCache, removeLegacyCaches } = require("./trie_cache");
+
+function nowNs() {
+	return typeof process !== "undefined" && process.hrtime && process.hrtime.bigint
+		? Number(process.hrtime.bigint())
+		: Date.now() * 1e6;
+}
+
+function nsToMs(ns) {
+	return ns / 1e6;
+}
+
+function formatTime(ns) {
+	const ms = nsToMs(ns);
+	if (ms >= 1000) {
+		return `${(ms / 1000).toFixed(3)}s`;
+	}
+	return `${ms.toFixed(3)}ms`;
+}
+
+/**
+ * Load a dictionary's DAWG from the cache (see trie_cache.js).
+ * @returns {{ dawg: object, contentHash: string }|null} the Dawg and the dictionary's content hash
+ *   recorded in the entry, or null when there is no usable entry
+ */
+function loadTrieFromCache(dictPath, verbose = false, cacheKey = "") {
+	try {
+		const t0 = nowNs();
+		const result = lookupCache(dictPath, cacheKey);
+		const t1 = nowNs();
+		if (result.status === "missing") {
+			if (verbose) console.log(`Cache not found: ${result.file}`);
+			return null;
+		}
+		if (result.status !== "hit") {
+			const reason = result.status === "changed" ? "dictionary changed" : `${result.status}: ${result.detail}`;
+			if (verbose) console.log(`Cache removed (${reason}), rebuilding: ${result.file}`);
+			return null;
+		}
+		if (verbose) {
+			const check = result.hashed ? "content hash" : "size and mtime";
+			console.log(`Loaded DAWG from cache in ${formatTime(t1 - t0)}, matched by ${check}: ${result.file}`);
+			console.log(`DAWG: ${result.dawg.wordCount} words, ${result.dawg.nodeCount} nodes`);
+		}
+		return { dawg: result.dawg, contentHash: result.contentHash };
+	} catch (err) {
+		console.error(`Warning: Could not read the dictionary cache: ${err.message}`);
+		return null;
+	}
+}
+
+/**
+ * Store a dictionary's DAWG in the cache, removing caches older versions kept next to it.
+ */
+function saveTrieToCache(dictPath, dawg, verbose = false, cacheKey = "") {
+	try {
+		const t0 = nowNs();
+		const cachePath = storeCache(dictPath, cacheKey, dawg);
+		const t1 = nowNs();
+		if (verbose) {
+			const dictSizeKB = Math.round(fs.statSync(dictPath).size / 1024);
+			const cacheSizeKB = Math.round(fs.statSync(cachePath).size / 1024);
+			console.log(`Cache created in ${formatTime(t1 - t0)}: ${cachePath}`);
+			console.log(`Dictionary: ${dictSizeKB}KB, Cache: ${cacheSizeKB}KB`);
+		}
+		for (const legacy of removeLegacyCaches(dictPath)) {
+			if (verbose) console.log(`Removed old cache: ${legacy}`);
+		}
+	} catch (err) {
+		console.error(`Warning: Could not write the dictionary cache: ${err.message}`);
+	}
+}
+
+/**
+ * Stream a word list (plain, .gz or .xz; one word per line or sjp.pl-style comma-separated)
+ * into a DAWG, without holding the whole list in memory.
+ * @param {function(string): string} [normalize] the dictionary's normalizer; upper-casing if omitted
+ * @param {object} [filter] createWordFilter options (letters, faces, minLength, maxLength, maxCells)
+ * @returns {Promise<object|null>} Dawg, or null if the file is missing, unreadable or has no words
+ */
+async function loadDictionaryFromFileMaybe(dictPath, verbose = false, normalize = null, filter = {}) {
+	try {
+		if (!dictPath) return null;
+		if (!fs.existsSync(dictPath)) return null;
+		if (verbose) console.log(`Loading dictionary from file: ${dictPath}`);
+		const t0 = nowNs();
+		const { dawg, stats } = await loadWordListDawg(dictPath, { normalize, filter });
+		const t1 = nowNs();
+		if (verbose) {
+			console.log(`Loaded ${stats.kept} of ${stats.entries} words from dictionary in ${formatTime(t1 - t0)}`);
+			console.log(`DAWG: ${dawg.wordCount} words, ${dawg.nodeCount} nodes, ${dawg.edgeCount} edges`);
+		}
+		return dawg.wordCount ? dawg : null;
+	} catch (_err) {
+		if (verbose) console.log(`Error loading dictionary: ${_err.message}`);
+		return null;
+	}
+}
+
+/**
+ * Cache key for a dictionary normalization plus word filter; filters get caches of their own.
+ */
+function filteredCacheKey(cacheKey = "", filter = {}) {
+	const filterKey = describeWordFilter(filter);
+	return filterKey ? `${cacheKey}|${filterKey}` : cacheKey;
+}
+
+/**
+ * Load the dictionary as a DAWG: from cache when possible, else streamed from the word list and cached.
+ * @param {{ normalize?: function(string): string, cacheKey?: string, filter?: object }} [dictionary]
+ *   normalization of a registry entry (resolveDictionary), plain upper-casing if omitted;
+ *   filter: createWordFilter options
+ * @returns {Promise<object|null>} Dawg, or null if the dictionary cannot be read
+ */
+async function loadOrBuildTrie(dictPath, verbose = false, dictionary = {}) {
+	const cacheKey = filteredCacheKey(dictionary.cacheKey, dictionary.filter);
+	const cached = loadTrieFromCache(dictPath, verbose, cacheKey);
+	if (cached) return cached.dawg;
+	const dawg = await loadDictionaryFromFileMaybe(dictPath, verbose, dictionary.normalize, dictionary.filter);
+	if (!dawg) return null;
+	saveTrieToCache(dictPath, dawg, verbose, cacheKey);
+	return dawg;
+}
+
+module.exports = {
+	nowNs,
+	nsToMs,
+	formatTime,
+	filteredCacheKey,
+	loadTrieFromCache,
+	saveTrieToCache,
+	loadDictionaryFromFileMaybe,
+	loadOrBuildTrie,
+};
@@ -1,162 +1,103 @@
 "use strict";
 
 const {
+	DICE_SETS,
 	DEFAULT_POLISH_DICE,
 	EXTENDED_POLISH_DICE,
+	getDiceSet,
+	findDiceSetFor,
 	getDiceForBoardSize,
+	createSeededRandom,
 	generateBoard,
-	buildTrie,
+	generateBoardWithWords,
+	formatBoardCode,
+	parseBoardCode,
+	isBoardCode,
 	findWords,
+	findWordsWithPaths,
+	findPatternWords,
+	findAnagrams,
+	findPrefixWords,
+	sortWords,
 } = require("./boggle_pl");
+const {
+	WORD_STATUS,
+	pointsForWord,
+	checkWord,
+	scoreGame,
+} = require("./scoring");
 
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
-const crypto = require("crypto");
-const zlib = require("zlib");
-
-function nowNs() {
-	return typeof process !== "undefined" && process.hrtime && process.hrtime.bigint
-		? Number(process.hrtime.bigint())
-		: Date.now() * 1e6;
-}
-
-function nsToMs(ns) {
-	return ns / 1e6;
-}
-
-function formatTime(ns) {
-	const ms = nsToMs(ns);
-	if (ms >= 1000) {
-		return `${(ms / 1000).toFixed(3)}s`;
-	}
-	return `${ms.toFixed(3)}ms`;
-}
-
-
-function getCachePath(dictPath) {
-	const pathHash = crypto.createHash('sha256').update(dictPath).digest('hex').substring(0, 16);
-	return path.join(path.dirname(dictPath), `.trie_cache_${pathHash}.bin`);
-}
-
-function getCachePathWithContentHash(dictPath, verbose = false) {
-	try {
-		if (verbose) console.log(`Generating hash for: ${dictPath}`);
-		const t0 = nowNs();
-		const content = fs.readFileSync(dictPath, 'utf8');
-		const contentHash = crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
-		const t1 = nowNs();
-		if (verbose) console.log(`Hash generated in ${formatTime(t1 - t0)}: ${contentHash}`);
-		return path.join(path.dirname(dictPath), `.trie_cache_${contentHash}.bin`);
-	} catch (_err) {
-		if (verbose) console.log(`Error generating hash: ${_err.message}`);
-		return null;
-	}
-}
-
-function loadTrieFromCache(dictPath, verbose = false) {
-	try {
-		// First try content-based cache (newer format)
-		let cachePath = getCachePathWithContentHash(dictPath, verbose);
-		if (!cachePath || !fs.existsSync(cachePath)) {
-			// Fallback to path-based cache (legacy format)
-			cachePath = getCachePath(dictPath);
-			if (!fs.existsSync(cachePath)) {
-				if (verbose) console.log(`Cache not found: ${cachePath}`);
-				return null;
-			}
-			
-			// Check if legacy cache is newer than dictionary
-			const dictStats = fs.statSync(dictPath);
-			const cacheStats = fs.statSync(cachePath);
-			if (cacheStats.mtime < dictStats.mtime) {
-				if (verbose) console.log(`Cache is stale, removing: ${cachePath}`);
-				fs.unlinkSync(cachePath); // Remove stale cache
-				return null;
-			}
-		}
-		
-		if (verbose) console.log(`Loading trie from cache: ${cachePath}`);
-		const t0 = nowNs();
-		const compressed = fs.readFileSync(cachePath);
-		const decompressed = zlib.gunzipSync(compressed);
-		const cacheData = JSON.parse(decompressed.toString('utf8'));
-		const t1 = nowNs();
-		if (verbose) console.log(`Cache loaded in ${formatTime(t1 - t0)}`);
-		return cacheData.trie;
-	} catch (_err) {
-		if (verbose) console.log(`Error loading cache: ${_err.message}`);
-		return null;
-	}
-}
-
-function saveTrieToCache(dictPath, trie, verbose = false) {
-	try {
-		// Use content-based cache path
-		const cachePath = getCachePathWithContentHash(dictPath, verbose);
-		if (!cachePath) {
-			if (verbose) console.log(`Error: Could not create cache path for ${dictPath}`);
-			return;
-		}
-		
-		const cacheData = {
-			trie: trie,
-			created: new Date().toISOString(),
-			source: dictPath
-		};
-		
-		if (verbose) console.log(`Creating cache file: ${cachePath}`);
-		const t0 = nowNs();
-		
-		// Serialize to JSON and compress
-		const jsonString = JSON.stringify(cacheData);
-		const compressed = zlib.gzipSync(jsonString);
-		
-		fs.writeFileSync(cachePath, compressed);
-		const t1 = nowNs();
-		
-		// Get dictionary file size for comparison
-		const dictStats = fs.statSync(dictPath);
-		const dictSizeKB = Math.round(dictStats.size / 1024);
-		const cacheSizeKB = Math.round(compressed.length / 1024);
-		const compressionRatio = Math.round((1 - compressed.length / dictStats.size) * 100);
-		
-		if (verbose) {
-			console.log(`Cache created in ${formatTime(t1 - t0)}`);
-			console.log(`Dictionary: ${dictSizeKB}KB, Cache: ${cacheSizeKB}KB (${compressionRatio}% smaller)`);
-		}
-	} catch (_err) {
-		if (verbose) console.log(`Error saving cache: ${_err.message}`);
-	}
-}
+const {
+	DICTIONARIES,
+	DEFAULT_LANGUAGE,
+	languageFromKey,
+	parseFoldSpec,
+	resolveDictionary,
+	normalizeBoard,
+	wordUrl,
+} = require("./dictionaries");
+const { getHistoryPath, appendGame, readHistory, computeStats } = require("./history");
+const { HINT_COSTS, createHinter, summarizeMissed } = require("./hints");
+const {
+	VARIANTS,
+	DEFAULT_VARIANT,
+	parseCellList,
+	parseRequired,
+	resolveVariant,
+} = require("./variants");
+const { defaultWorkerCount, solveBoards } = require("./batch_solver");
+const { renderBoardSvg, renderPrintHtml } = require("./board_export");
+const {
+	getCacheDir,
+	hashDictionary,
+	listCacheEntries,
+	verifyCacheEntry,
+	clearCache,
+} = require("./trie_cache");
+const {
+	nowNs,
+	nsToMs,
+	formatTime,
+	filteredCacheKey,
+	loadTrieFromCache,
+	saveTrieToCache,
+	loadDictionaryFromFileMaybe,
+	loadOrBuildTrie,
+} = require("./dictionary_loader");
+const {
+	DEFAULT_SETTINGS,
+	parseDuration,
+	formatDuration,
+	applySettings,
+	getSettingsPath,
+	loadSettingsFile,
+	saveSettingsFile,
+	createRoundTimer,
+} = require("./game_settings");
 
-function loadDictionaryFromFileMaybe(dictPath, verbose = false) {
-	try {
-		if (!dictPath) return null;
-		if (!fs.existsSync(dictPath)) return null;
-		if (verbose) console.log(`Loading dictionary from file: ${dictPath}`);
-		const t0 = nowNs();
-		const raw = fs.readFileSync(dictPath, "utf8");
-		const words = raw
-			.split(/\r?\n/) // split lines
-			.map((line) => line.trim())
-			.filter(Boolean)
-			.map((line) => String(line).toUpperCase())
-			.filter((w) => w.length >= 2);
-		const t1 = nowNs();
-		if (verbose) console.log(`Loaded ${words.length} words from dictionary in ${formatTime(t1 - t0)}`);
-		return words.length ? words : null;
-	} catch (_err) {
-		if (verbose) console.log(`Error loading dictionary: ${_err.message}`);
-		return null;
-	}
+function printBoard(board, rules = {}) {
+	const blocked = new Set((rules.blockedCells || []).map(([r, c]) => `${r}:${c}`));
+	console.log("Board:");
+	board.forEach((row, r) => {
+		console.log(" ", row.map((x, c) => (blocked.has(`${r}:${c}`) ? '#' : x).padEnd(2, " ")).join(" "));
+	});
 }
 
-function printBoard(board) {
-	console.log("Board:");
-	for (const row of board) {
-		console.log(" ", row.map((x) => x.padEnd(2, " ")).join(" "));
+/**
+ * One line describing what the variant's rules ask for, in 1-based row:col cells.
+ */
+function describeVariant(variant) {
+	const notes = [VARIANTS[variant.id].description];
+	const { rules } = variant;
+	if (rules.requiredCell) notes.push(`required cell ${rules.requiredCell[0] + 1}:${rules.requiredCell[1] + 1}`);
+	if (rules.requiredLetter) notes.push(`required letter ${rules.requiredLetter}`);
+	if (rules.blockedCells && rules.blockedCells.length > 0) {
+		notes.push(`blocked ${rules.blockedCells.map(([r, c]) => `${r + 1}:${c + 1}`).join(',')}`);
 	}
+	return `${variant.name} (${notes.join('; ')}), words of ${variant.scoring.minLength}+ letters`;
 }
 
 async function waitForKey() {
@@ -175,37 +116,199 @@ async function waitForKey() {
 	});
 }
 
-async function countdownAndWait() {
-	const totalSeconds = 3 * 60; // 3 minutes
-	let remainingSeconds = totalSeconds;
-	
-	const interval = setInterval(() => {
-		const minutes = Math.floor(remainingSeconds / 60);
-		const seconds = remainingSeconds % 60;
-		const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-		process.stdout.write(`\r${timeStr}`);
-		remainingSeconds--;
-		
-		if (remainingSeconds < 0) {
-			clearInterval(interval);
-			process.stdout.write('\n');
-		}
-	}, 1000);
-	
+const PAUSED_NOTE = ' paused (p to resume)';
+
+// Round clock: yellow once the warning has begun
+function formatRoundClock(remaining, warning) {
+	return warning ? `${colors.yellow}${formatDuration(remaining)}${colors.reset}` : formatDuration(remaining);
+}
+
+function ringBell(settings) {
+	if (settings.sound) process.stdout.write('\x07');
+}
+
+/**
+ * Count the round down on one line until time is up or a key is pressed.
+ * p or space pauses and resumes; any other key ends the round early.
+ * @param {object} settings game settings (game_settings.js)
+ */
+async function countdownAndWait(settings) {
 	return new Promise((resolve) => {
+		const timer = createRoundTimer({
+			seconds: settings.roundSeconds,
+			warningSeconds: settings.warningSeconds,
+			onTick: (remaining, warning) => {
+				const note = timer.isPaused() ? PAUSED_NOTE : ' '.repeat(PAUSED_NOTE.length);
+				process.stdout.write(`\r${formatRoundClock(remaining, warning)}${note}`);
+			},
+			onWarning: () => ringBell(settings),
+			onEnd: () => finish(true),
+		});
+		const onData = (data) => {
+			const key = data.toString();
+			if (key === 'p' || key === 'P' || key === ' ') {
+				timer.togglePause();
+				return;
+			}
+			timer.stop();
+			finish(false);
+		};
+		const finish = (timeUp) => {
+			process.stdin.removeListener('data', onData);
+			process.stdin.setRawMode(false);
+			process.stdin.pause();
+			process.stdout.write('\n');
+			if (timeUp) {
+				ringBell(settings);
+				console.log(`${colors.bright}Time's up!${colors.reset}`);
+			}
+			resolve();
+		};
 		process.stdin.setRawMode(true);
 		process.stdin.resume();
-		process.stdin.once('data', () => {
-			clearInterval(interval);
+		process.stdin.on('data', onData);
+		timer.start();
+	});
+}
+
+/**
+ * Auto-shake: count down to the next board. Any key deals it at once; q, Esc or Ctrl+C quits.
+ * @returns {Promise<boolean>} whether to play another round
+ */
+async function waitForNextRound(seconds) {
+	return new Promise((resolve) => {
+		const timer = createRoundTimer({
+			seconds,
+			onTick: (remaining) => {
+				if (remaining > 0) process.stdout.write(`\rNext board in ${remaining}s (any key deals it now, q quits) `);
+			},
+			onEnd: () => finish(true),
+		});
+		const onData = (data) => {
+			timer.stop();
+			finish(!['q', 'Q', '\x1b', '\x03'].includes(data.toString()));
+		};
+		const finish = (next) => {
+			process.stdin.removeListener('data', onData);
 			process.stdin.setRawMode(false);
+			process.stdin.pause();
 			process.stdout.write('\n');
-			resolve();
+			resolve(next);
+		};
+		process.stdin.setRawMode(true);
+		process.stdin.resume();
+		process.stdin.on('data', onData);
+		timer.start();
+	});
+}
+
+const STATUS_LABELS = {
+	[WORD_STATUS.ACCEPTED]: 'accepted',
+	[WORD_STATUS.DUPLICATE]: 'duplicate',
+	[WORD_STATUS.TOO_SHORT]: 'too short',
+	[WORD_STATUS.NOT_ON_BOARD]: 'not on board',
+	[WORD_STATUS.NOT_A_WORD]: 'not a word',
+};
+
+/**
+ * Let the player type words during the countdown, checking each one live.
+ * Ends when time runs out, on Ctrl+C, or when stdin closes; Ctrl+Z pauses and resumes.
+ * @param {function(string): string} normalize the dictionary's normalizer, applied to each word
+ * @param {object} rules board rules of the variant, see resolveVariant
+ * @param {object|null} hinter from createHinter; when given, typing "?" asks for a hint
+ * @param {object} [settings] game settings (game_settings.js)
+ * @returns {Promise<string[]>} every word the player entered, in order
+ */
+async function playRound(board, trie, scoring, normalize, rules, hinter = null, settings = DEFAULT_SETTINGS) {
+	const entered = [];
+	const accepted = new Set();
+
+	const rl = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		terminal: Boolean(process.stdin.isTTY),
+	});
+	let warning = false;
+	let timer = null;
+	const updatePrompt = () => {
+		const paused = timer && timer.isPaused() ? ' paused' : '';
+		rl.setPrompt(`[${formatRoundClock(timer ? timer.remaining() : settings.roundSeconds, warning)}${paused}] > `);
+		rl.prompt(true);
+	};
+
+	console.log(`Type words and press Enter (min ${scoring.minLength} letters). Ctrl+C ends the round, Ctrl+Z pauses it.`);
+	if (hinter) console.log(`Type ? for a hint (costs ${HINT_COSTS.count}-${HINT_COSTS.prefix} points).`);
+
+	return new Promise((resolve) => {
+		timer = createRoundTimer({
+			seconds: settings.roundSeconds,
+			warningSeconds: settings.warningSeconds,
+			onTick: (_remaining, inWarning) => {
+				warning = inWarning;
+				updatePrompt();
+			},
+			onWarning: (remaining) => {
+				ringBell(settings);
+				process.stdout.write(`\n${colors.yellow}${formatDuration(remaining)} left!${colors.reset}\n`);
+			},
+			onEnd: () => {
+				ringBell(settings);
+				process.stdout.write(`\n${colors.bright}Time's up!${colors.reset}\n`);
+				rl.close();
+			},
+		});
+		timer.start();
+
+		rl.on('line', (line) => {
+			if (timer.isPaused()) {
+				console.log('  Paused: Ctrl+Z resumes');
+				updatePrompt();
+				return;
+			}
+			if (hinter && line.trim() === '?') {
+				const hint = hinter.next(accepted);
+				console.log(hint
+					? `  ${colors.cyan}Hint: ${hint.text} (-${hint.cost})${colors.reset}`
+					: `  ${colors.cyan}No hints left: you found every word${colors.reset}`);
+				updatePrompt();
+				return;
+			}
+			const word = normalize(line);
+			if (word) {
+				entered.push(word);
+				let status;
+				if (accepted.has(word)) {
+					status = WORD_STATUS.DUPLICATE;
+				} else {
+					status = checkWord(board, trie, word, scoring, rules).status;
+					if (status === WORD_STATUS.ACCEPTED) accepted.add(word);
+				}
+				const color = status === WORD_STATUS.ACCEPTED ? colors.green
+					: status === WORD_STATUS.DUPLICATE ? colors.yellow : colors.red;
+				const points = status === WORD_STATUS.ACCEPTED ? ` +${pointsForWord(word, scoring)}` : '';
+				console.log(`  ${color}${word}: ${STATUS_LABELS[status]}${points}${colors.reset}`);
+			}
+			updatePrompt();
+		});
+		rl.on('SIGINT', () => {
+			process.stdout.write('\n');
+			rl.close();
+		});
+		// Handling SIGTSTP keeps Ctrl+Z from suspending the process
+		rl.on('SIGTSTP', () => {
+			timer.togglePause();
+			updatePrompt();
+		});
+		rl.on('close', () => {
+			timer.stop();
+			resolve(entered);
 		});
 	});
 }
 
-// ANSI color codes
-const colors = {
+// ANSI color codes, left empty when stdout is not a terminal (pipes, files) or NO_COLOR is set
+const useColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+const colors = Object.fromEntries(Object.entries({
 	reset: '\x1b[0m',
 	bright: '\x1b[1m',
 	dim: '\x1b[2m',
@@ -216,7 +319,7 @@ const colors = {
 	magenta: '\x1b[35m',
 	cyan: '\x1b[36m',
 	white: '\x1b[37m',
-};
+}).map(([name, code]) => [name, useColor ? code : '']));
 
 function printWordsWithColors(words) {
 	if (words.length === 0) {
@@ -236,13 +339,13 @@ function printWordsWithColors(words) {
 			if (idx >= words.length) break;
 			const word = words[idx];
 			const color = [colors.green, colors.blue, colors.yellow, colors.magenta, colors.cyan][c % 5];
-			row.push(`${color}${word}${colors.reset}`.padEnd(maxWordLen + 9, " ")); // +9 for color codes
+			row.push(`${color}${word.padEnd(maxWordLen, " ")}${colors.reset}`);
 		}
 		console.log(row.join("  ")); // Add 2 spaces between columns
 	}
 }
 
-function printLinks(words) {
+function printLinks(words, dictionary) {
 	if (words.length === 0) {
 		console.log("(none)");
 		return;
@@ -260,32 +363,476 @@ function printLinks(words) {
 			if (idx >= words.length) break;
 			const word = words[idx];
 			const color = [colors.green, colors.blue, colors.yellow, colors.magenta, colors.cyan][c % 5];
-			const url = `http://sjp.pl/${word}`;
-			row.push(`${color}${url}${colors.reset}`.padEnd(maxWordLen + 9, " ")); // +9 for color codes
+			const url = wordUrl(dictionary, word);
+			row.push(`${color}${url.padEnd(maxWordLen, " ")}${colors.reset}`);
 		}
 		console.log(row.join("  ")); // Add 2 spaces between columns
 	}
 }
 
+/**
+ * After-game coaching: missed words grouped by length, then the prefixes missed most.
+ */
+function printCoaching(missed) {
+	if (missed.length === 0) return;
+	const { byLength, byPrefix } = summarizeMissed(missed);
+	console.log("\nCoaching - missed words by length:");
+	for (const { length, words } of byLength) {
+		console.log(`  ${String(length).padStart(2, " ")} letters: ${String(words.length).padStart(3, " ")}  ${words.slice(0, 8).join(' ')}${words.length > 8 ? ' ...' : ''}`);
+	}
+	if (byPrefix.length > 0) {
+		console.log("\nCoaching - prefixes you missed most:");
+		for (const { prefix, words } of byPrefix.slice(0, 8)) {
+			console.log(`  ${(prefix + '-').padEnd(5, " ")} ${String(words.length).padStart(3, " ")}  ${words.slice(0, 8).join(' ')}${words.length > 8 ? ' ...' : ''}`);
+		}
+	}
+}
+
+/**
+ * Parse a board given as text: a board code, or one row per line with faces separated by
+ * spaces ("K O CZ A"); a line without spaces has one-letter faces ("KOTA").
+ * @returns {{ board: string[][], size: {rows: number, cols: number}, language: string|null, seed: string|null }}
+ * @throws {Error} if the board is empty, ragged or holds anything but letters
+ */
+function parseBoardText(text) {
+	const trimmed = String(text).trim();
+	if (isBoardCode(trimmed)) return parseBoardCode(trimmed);
+	const board = trimmed.split(/\r?\n/).map((line) => line.trim()).filter(Boolean)
+		.map((line) => (/\s/.test(line) ? line.split(/\s+/) : Array.from(line)).map((face) => face.toUpperCase()));
+	if (board.length === 0) {
+		throw new Error('board is empty');
+	}
+	if (board.some((row) => row.length !== board[0].length)) {
+		throw new Error('board rows must all have the same number of faces');
+	}
+	if (board.some((row) => row.some((face) => !/^\p{L}+$/u.test(face)))) {
+		throw new Error('board faces must be one or more letters');
+	}
+	return { board, size: { rows: board.length, cols: board[0].length }, language: null, seed: null };
+}
+
+function roundMs(ns) {
+	return Number(nsToMs(ns).toFixed(3));
+}
+
+function csvField(value) {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Print the solved board for scripts.
+ * - json: one object with the board, its code, variant, words with points and first path
+ *   (0-based [row, col] cells, as the solver server sends them) and timings in ms
+ * - csv: one row per word: board code, word, letters, points, path as 1-based row:col cells
+ * @param {'json'|'csv'} format
+ * @param {{ board: string[][], code: string, seed: string|null, language: string|null, variant: object,
+ *   words: string[], paths: Map<string, number[][][]>, timings: Object<string, number> }} report
+ */
+function printReport(format, report) {
+	const { scoring } = report.variant;
+	if (format === 'json') {
+		const words = report.words.map((word) => ({
+			word,
+			points: pointsForWord(word, scoring),
+			path: report.paths.get(word)[0],
+		}));
+		console.log(JSON.stringify({
+			board: report.board,
+			boardCode: report.code,
+			seed: report.seed,
+			language: report.language,
+			variant: { id: report.variant.id, rules: report.variant.rules, scoring },
+			wordCount: words.length,
+			totalPoints: words.reduce((sum, entry) => sum + entry.points, 0),
+			words,
+			timings: report.timings,
+		}, null, 2));
+		return;
+	}
+	console.log('board,word,letters,points,path');
+	for (const word of report.words) {
+		const cells = report.paths.get(word)[0].map(([r, c]) => `${r + 1}:${c + 1}`).join(' ');
+		console.log([report.code, word, Array.from(word).length, pointsForWord(word, scoring), cells].map(csvField).join(','));
+	}
+}
+
+function printLanguages() {
+	console.log("Languages:");
+	for (const code of Object.keys(DICTIONARIES)) {
+		const entry = DICTIONARIES[code];
+		console.log(`  ${code}  ${entry.name.padEnd(10, " ")} ${entry.file}`);
+	}
+}
+
+function printVariants() {
+	console.log("Variants:");
+	for (const id of Object.keys(VARIANTS)) {
+		console.log(`  ${id.padEnd(11, " ")} ${VARIANTS[id].description}`);
+	}
+}
+
+const QUERY_KINDS = ['pattern', 'anagram', 'prefix'];
+const QUERY_LIMIT = 100;
+
+/**
+ * The query subcommand: dictionary words by pattern, sub-anagram or prefix.
+ */
+async function runQueryCommand(args) {
+	const [kind, text, ...rest] = args;
+	if (!QUERY_KINDS.includes(kind) || text === undefined) {
+		console.error(`Error: Usage: query ${QUERY_KINDS.join('|')} TEXT [--limit N] [--min-length N] [--lang CODE] [--format FORMAT] [DICTIONARY_FILE]`);
+		process.exit(1);
+	}
+	const valueFlags = ['--limit', '--min-length', '--lang', '--format'];
+	let dictArg = null;
+	for (let i = 0; i < rest.length; i++) {
+		if (valueFlags.includes(rest[i])) {
+			i++;
+		} else if (rest[i] === '-v' || rest[i] === '--verbose' || valueFlags.some((flag) => rest[i].startsWith(flag + '='))) {
+			continue;
+		} else if (rest[i].startsWith('-') || dictArg !== null) {
+			console.error(`Error: Unknown argument: ${rest[i]}`);
+			process.exit(1);
+		} else {
+			dictArg = rest[i];
+		}
+	}
+	const limit = Number(getFlagValue(rest, '--limit') || QUERY_LIMIT);
+	const minLength = Number(getFlagValue(rest, '--min-length') || 1);
+	if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(minLength) || minLength < 1) {
+		console.error('Error: --limit and --min-length must be positive integers');
+		process.exit(1);
+	}
+	const format = getFlagValue(rest, '--format') || 'text';
+	if (!OUTPUT_FORMATS.includes(format)) {
+		console.error(`Error: --format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${format}"`);
+		process.exit(1);
+	}
+	const langCode = getFlagValue(rest, '--lang') || DEFAULT_LANGUAGE;
+	if (!DICTIONARIES[langCode]) {
+		console.error(`Error: Unknown language: ${langCode}`);
+		process.exit(1);
+	}
+	const verbose = (rest.includes('-v') || rest.includes('--verbose')) && format === 'text';
+
+	const dictionary = resolveDictionary(langCode);
+	const dictPath = dictArg ? path.resolve(dictArg) : dictionary.path;
+	const trie = await loadOrBuildTrie(dictPath, verbose, dictionary);
+	if (!trie) {
+		console.error(`Error: Could not load dictionary from ${dictPath}`);
+		process.exit(1);
+	}
+
+	// One extra word tells whether the limit cut the list short
+	const options = { limit: limit + 1, minLength };
+	let words;
+	if (kind === 'anagram') {
+		const tokens = /[\s,]/.test(text) ? text.split(/[\s,]+/) : Array.from(text);
+		words = findAnagrams(trie, tokens.filter(Boolean).map(dictionary.normalize), options);
+	} else if (kind === 'pattern') {
+		words = findPatternWords(trie, dictionary.normalize(text), options);
+	} else {
+		words = findPrefixWords(trie, dictionary.normalize(text), options);
+	}
+	const more = words.length > limit;
+	words = words.slice(0, limit);
+
+	if (format === 'json') {
+		console.log(JSON.stringify({ query: kind, text, words, more }, null, 2));
+	} else if (format === 'csv') {
+		console.log('word,letters');
+		for (const word of words) console.log(`${csvField(word)},${Array.from(word).length}`);
+	} else {
+		console.log(`${kind} ${text}: ${words.length}${more ? '+' : ''} word${words.length === 1 ? '' : 's'}`);
+		printWordsWithColors(words);
+		if (more) console.log(`(first ${limit} shown; --limit N shows more)`);
+	}
+}
+
+function printStats() {
+	const historyPath = getHistoryPath();
+	const stats = computeStats(readHistory(historyPath));
+	if (stats.games === 0) {
+		console.log(`No games played yet (history: ${historyPath})`);
+		console.log('Play a round with -p to start one.');
+		return;
+	}
+	const percent = (found, available) => (available > 0 ? `${(100 * found / available).toFixed(1)}%` : '-');
+
+	console.log(`${colors.bright}Statistics${colors.reset} (${historyPath})`);
+	console.log(`  Games played:   ${stats.games}`);
+	console.log(`  Average score:  ${stats.averageScore.toFixed(1)}`);
+	console.log(`  Best score:     ${stats.bestScore}${stats.bestDate ? ` (${stats.bestDate.slice(0, 10)})` : ''}`);
+	console.log(`  Longest word:   ${stats.longestWord || '(none)'}`);
+	console.log(`  Words found:    ${stats.found} of ${stats.available} (${percent(stats.found, stats.available)})`);
+
+	console.log("\nFound over time:");
+	for (const day of stats.days) {
+		const games = `${day.games} game${day.games === 1 ? '' : 's'}`;
+		console.log(`  ${day.date}  ${games.padEnd(9, " ")} ${percent(day.found, day.available).padStart(6, " ")}  (${day.found}/${day.available})`);
+	}
+
+	console.log("\nMost missed words:");
+	if (stats.mostMissed.length === 0) {
+		console.log("(none)");
+	}
+	for (const { word, count } of stats.mostMissed) {
+		console.log(`  ${word.padEnd(16, " ")} ${count}x`);
+	}
+}
+
+/**
+ * Time solving a batch of random boards on this thread and on worker threads.
+ * @param {string[][]|null} dice normalized dice, or null to repeat the given board
+ * @param {object} trie a Dawg
+ * @param {{ minLength: number, rules: object }} solveOptions
+ * @returns {Promise<{ count: number, workers: number, sequential: number, parallel: number }>} times in ns
+ */
+async function benchmarkBatch(count, dice, board, trie, solveOptions) {
+	const size = { rows: board.length, cols: board[0].length };
+	const random = createSeededRandom('bench');
+	const boards = [];
+	for (let i = 0; i < count; i++) {
+		boards.push(dice ? generateBoard(dice, size, { random }) : board);
+	}
+	const workers = defaultWorkerCount();
+	const t0 = nowNs();
+	await solveBoards(boards, trie, { ...solveOptions, workers: 0 });
+	const t1 = nowNs();
+	await solveBoards(boards, trie, { ...solveOptions, workers });
+	const t2 = nowNs();
+	return { count, workers, sequential: t1 - t0, parallel: t2 - t1 };
+}
+
+function formatRate(count, ns) {
+	return `${Math.round(count / (nsToMs(ns) / 1000))} boards/s`;
+}
+
+function formatKB(bytes) {
+	return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+/**
+ * The cache subcommand: list, clear, or verify [--prune].
+ */
+function runCacheCommand(args) {
+	const [command, ...rest] = args;
+	const prune = rest.includes('--prune');
+	const unknown = rest.filter((arg) => !(command === 'verify' && arg === '--prune'));
+	if (!['list', 'clear', 'verify'].includes(command) || unknown.length > 0) {
+		console.error(`Error: Usage: cache list|clear|verify [--prune]${command ? `, got: ${args.join(' ')}` : ''}`);
+		process.exit(1);
+	}
+
+	console.log(`Cache directory: ${getCacheDir()}`);
+	if (command === 'clear') {
+		const removed = clearCache();
+		console.log(`Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`);
+		return;
+	}
+	const entries = listCacheEntries();
+	if (entries.length === 0) {
+		console.log("(empty)");
+		return;
+	}
+	if (command === 'list') {
+		for (const entry of entries) {
+			const name = path.basename(entry.file);
+			if (!entry.meta) {
+				console.log(`  ${name}  ${formatKB(entry.bytes).padStart(8, " ")}  unreadable: ${entry.error}`);
+				continue;
+			}
+			const { meta } = entry;
+			const key = meta.cacheKey ? `  [${meta.cacheKey}]` : '';
+			console.log(`  ${name}  ${formatKB(entry.bytes).padStart(8, " ")}  ${meta.created.slice(0, 10)}  ${String(entry.wordCount).padStart(8, " ")} words  ${meta.dictionary}${key}`);
+		}
+		return;
+	}
+
+	let failed = 0;
+	for (const entry of entries) {
+		const { status, detail } = verifyCacheEntry(entry);
+		const ok = status === 'ok';
+		if (!ok) failed++;
+		const action = !ok && prune ? ' (removed)' : '';
+		if (!ok && prune) fs.unlinkSync(entry.file);
+		const color = ok ? colors.green : colors.red;
+		console.log(`  ${color}${status.padEnd(8, " ")}${colors.reset} ${path.basename(entry.file)}  ${detail}${action}`);
+	}
+	console.log(`\n${entries.length - failed} of ${entries.length} entries ok${failed && !prune ? '; --prune removes the others' : ''}`);
+}
+
+/**
+ * Settings changed by --time, --warning, --auto-shake and --sound/--no-sound.
+ * @returns {object} changes for applySettings
+ * @throws {Error} on a malformed duration
+ */
+function parseSettingsFlags(args) {
+	const changes = {};
+	for (const [flag, key] of [['--time', 'roundSeconds'], ['--warning', 'warningSeconds'], ['--auto-shake', 'autoShakeSeconds']]) {
+		const value = getFlagValue(args, flag);
+		if (value !== null) changes[key] = parseDuration(value);
+	}
+	if (args.includes('--sound')) changes.sound = true;
+	if (args.includes('--no-sound')) changes.sound = false;
+	return changes;
+}
+
+function printSettings(settings) {
+	const off = (seconds, text) => (seconds > 0 ? text : 'off');
+	console.log(`  Round length:   ${formatDuration(settings.roundSeconds)}`);
+	console.log(`  Warning:        ${off(settings.warningSeconds, `${formatDuration(settings.warningSeconds)} before the end`)}`);
+	console.log(`  Auto-shake:     ${off(settings.autoShakeSeconds, `next board ${formatDuration(settings.autoShakeSeconds)} after a round`)}`);
+	console.log(`  Sound:          ${settings.sound ? 'on' : 'off'}`);
+}
+
+/**
+ * The settings subcommand: show the saved settings, save the given settings flags, or reset.
+ */
+function runSettingsCommand(args) {
+	const file = getSettingsPath();
+	if (args.length === 1 && args[0] === 'reset') {
+		fs.rmSync(file, { force: true });
+		console.log(`Settings reset to the defaults (${file})`);
+		printSettings(DEFAULT_SETTINGS);
+		return;
+	}
+	const valueFlags = ['--time', '--warning', '--auto-shake'];
+	const flags = [...valueFlags, '--sound', '--no-sound'];
+	const unknown = args.filter((arg, i) => !valueFlags.includes(args[i - 1])
+		&& !flags.some((flag) => arg === flag || arg.startsWith(flag + '=')));
+	if (unknown.length > 0) {
+		console.error(`Error: Usage: settings [--time DURATION] [--warning SECONDS] [--auto-shake SECONDS] [--sound|--no-sound], or settings reset; got: ${unknown.join(' ')}`);
+		process.exit(1);
+	}
+	try {
+		let settings = loadSettingsFile(file);
+		if (args.length > 0) {
+			settings = applySettings(settings, parseSettingsFlags(args));
+			saveSettingsFile(settings, file);
+			console.log(`Saved settings to ${file}`);
+		} else {
+			console.log(`Settings (${file}):`);
+		}
+		printSettings(settings);
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+}
+
+function printDiceSets() {
+	console.log("Dice sets:");
+	for (const set of DICE_SETS.sets) {
+		console.log(`  ${set.id.padEnd(14, " ")} ${set.rows}x${set.cols}  ${set.name}`);
+	}
+}
+
 function showHelp() {
 	console.log(`
 Polish Boggle Solver
 
 USAGE:
   node example_boggle_pl.js [OPTIONS] [DICTIONARY_FILE]
+  node example_boggle_pl.js stats      Show statistics of played games
+  node example_boggle_pl.js cache list|clear|verify [--prune]
+                                       Show, delete or check cached dictionaries
+  node example_boggle_pl.js query pattern|anagram|prefix TEXT [QUERY OPTIONS] [DICTIONARY_FILE]
+                                       Look words up in the dictionary
+  node example_boggle_pl.js settings [--time ...] | reset
+                                       Show, save or reset the game settings
 
 OPTIONS:
   -h, --help          Show this help message
   -v, --verbose       Show detailed performance logs and cache operations
   -b SIZE             Set board size (e.g., -b 5x5, -b 6x6)
                       Default: 4x4
+  -p, --play          Type words during the countdown and get scored;
+                      the game is saved to the history (see stats)
+  --no-history        Do not save the played game
+  --hints             With -p: type ? for a hint, each one costs points
+                      (${HINT_COSTS.count}: long words left, ${HINT_COSTS.start}: where one starts, ${HINT_COSTS.prefix}: its first letters)
+  --seed SEED         Deal a reproducible board: the same seed and board size
+                      always give the same board (e.g., a shared "daily board")
+  --board CODE        Play a given board instead of dealing one, using the
+                      board code printed under each board (e.g., 2x2~K-O-CZ-A)
+  --dice ID           Use a dice set from dice_sets.json (sets the board size);
+                      --dice list shows the available sets
+  --min-words N       Re-roll until the board has at least N words
+  --min-score N       Re-roll until the board is worth at least N points
+  --words W1,W2,...   Deal a board on which all these words can be traced
+                      (e.g., --words ŻÓŁW,SZCZAW for a themed round)
+  --lang CODE         Language: picks its dice set and dictionary together
+                      (default: pol); --lang list shows the languages
+  --fold FROM=TO,...  Treat letters as equal, replacing the language's
+                      default folds (e.g., --fold Ё=Е, --fold none)
+  --fold-accents      Ignore accents (e.g., Spanish Á = A)
+  --keep-accents      Keep accented letters distinct
+  --dict-letters SET  Only load words made of these letters; "dice" uses
+                      the letters on this game's dice
+  --dict-faces        Only load words this game's dice faces can spell
+  --dict-length RANGE Only load words of these lengths (e.g., 3-12, 4-)
+  --variant NAME      Rule variant with its own scoring (default: classic);
+                      --variant list shows the variants
+  --required SPEC     Every word must use this cell (row:col, from 1) or
+                      letter (e.g., --required 2:3, --required Ż)
+  --blocked CELLS     Cells no word may use (e.g., --blocked 1:1,4:4)
+  --bench N           With -v: also solve N random boards on one thread and
+                      on worker threads, and report boards per second
+  --no-timer          Show the words right away instead of after the countdown
+  --time DURATION     Round length (e.g., 90, 2:30, 3m; default: ${formatDuration(DEFAULT_SETTINGS.roundSeconds)})
+  --warning SECONDS   Warn this long before the end, 0 for no warning
+                      (default: ${DEFAULT_SETTINGS.warningSeconds})
+  --auto-shake SECS   Deal the next board this long after a round ends,
+                      0 to stop after one round (default: ${DEFAULT_SETTINGS.autoShakeSeconds})
+  --sound, --no-sound Ring the terminal bell at the warning and when time is up
+  --solve             Solve a given board and exit: --board CODE, or a board on
+                      stdin (a board code, or one row per line: "K O CZ A")
+  --format FORMAT     text (default), json or csv: json and csv print only the
+                      data (board, words, points, paths, timings), never wait
+                      and cannot be combined with -p
+  --export FILE       Write the board for pencil and paper and exit: FILE.svg
+                      is the board alone, FILE.html a print-ready document
+                      with scoring sheets and an answer key by word length
+  --players N         With --export: scoring sheets in the HTML (default: 2)
+  --rotated           With --export: add the board as seen from across the table
+  --no-answers        With --export: leave out the answer key
+
+QUERY OPTIONS:
+  pattern TEXT        ? is any one letter, * any run of letters (e.g., ?A?Ż, PRZE*)
+  anagram TEXT        Words made from some or all of these letters; separate
+                      multi-letter tokens with spaces or commas (e.g., "SZ K O Ł A"),
+                      ? is a blank
+  prefix TEXT         Words starting with TEXT
+  --limit N           Show at most N words, shortest first (default: ${QUERY_LIMIT})
+  --min-length N      Skip words shorter than N letters
+  --lang CODE, --format text|json|csv, -v work as for games
 
 EXAMPLES:
   node example_boggle_pl.js                    # Default 4x4 board
   node example_boggle_pl.js -v                 # Verbose output
   node example_boggle_pl.js -b 5x5            # 5x5 board
   node example_boggle_pl.js -v -b 6x6         # 6x6 board with verbose output
+  node example_boggle_pl.js -v --bench 2000    # Compare solving on 1 and N threads
+  node example_boggle_pl.js -p                 # Play: enter words, see score and missed words
+  node example_boggle_pl.js --seed 2026-10-19  # Same board for everyone using this seed
+  node example_boggle_pl.js --board 4x4~K-O-...  # Replay a shared board
+  node example_boggle_pl.js --dice pol55       # 5x5 board with the pol55 dice
+  node example_boggle_pl.js --min-words 30     # Skip boards with fewer than 30 words
+  node example_boggle_pl.js --words kot,pies   # Board guaranteed to contain KOT and PIES
+  node example_boggle_pl.js --lang spa -b 5x5  # Spanish dice and dictionary
+  node example_boggle_pl.js --lang rus --fold none  # Russian with Ё and Е distinct
+  node example_boggle_pl.js --variant torus    # Board edges wrap around
+  node example_boggle_pl.js -p --time 2:00 --auto-shake 15  # 2-minute rounds back to back
+  node example_boggle_pl.js settings --time 4m --no-sound   # Save new defaults
   node example_boggle_pl.js /path/to/dict.txt  # Custom dictionary
+  node example_boggle_pl.js stats              # Games played, best score, most missed words
+  node example_boggle_pl.js query pattern '?A?Ż'  # Four-letter words with A and Ż
+  node example_boggle_pl.js query anagram 'CH A T A' --min-length 3
+  node example_boggle_pl.js -b 5x5 --export board.html --rotated  # Print and play
+  node example_boggle_pl.js --solve --board 2x2~K-O-CZ-A --format json
+  printf 'KOTA\nPSYM\nLASY\nRYBA\n' | node example_boggle_pl.js --solve --format csv
 
 BOARD SIZES:
   4x4  - Classic Boggle (16 dice)
@@ -294,16 +841,58 @@ BOARD SIZES:
   Custom sizes supported (e.g., 3x3, 7x7)
 
 CACHE SYSTEM:
-  - First run builds compressed cache from dictionary
-  - Subsequent runs load from cache (much faster)
-  - Cache automatically invalidated when dictionary changes
-  - Cache files: .trie_cache_[hash].bin
+  - First run builds a minimized DAWG (binary word graph) from dictionary
+  - Dictionaries are streamed line by line: plain, .gz or .xz files, one word
+    per line or comma-separated (sjp.pl style)
+  - Subsequent runs load it from cache (much faster, no JSON parsing)
+  - The dictionary's size and mtime are checked on each start; its content is
+    only hashed when they changed
+  - Cache automatically invalidated when dictionary or its folding changes
+  - Entries carry format versions and a checksum; damaged or outdated ones
+    are rebuilt, and caches older versions kept next to the dictionary removed
+  - Cache directory: ${getCacheDir()}
+    (set BOGGLE_PL_CACHE_DIR to keep it elsewhere)
+  - cache list shows the entries, cache verify checks them against their
+    dictionaries (--prune deletes those that fail), cache clear deletes all
+
+SETTINGS:
+  --time, --warning, --auto-shake and --sound/--no-sound change one game;
+  "settings" with the same flags saves them as the defaults for later games,
+  "settings reset" restores the built-in ones. Saved in
+  ${getSettingsPath()}
+  (set BOGGLE_PL_CONFIG_DIR to keep it elsewhere)
+  During the countdown p or space pauses and resumes (Ctrl+Z with -p).
+
+SCRIPTS:
+  When stdin or stdout is not a terminal the countdown is skipped, and colors
+  are left out when stdout is not a terminal or NO_COLOR is set.
+
+HISTORY:
+  Played games are appended to ${getHistoryPath()}
+  (set BOGGLE_PL_DATA_DIR to keep it elsewhere)
 `);
 	process.exit(0);
 }
 
+// Long flags that take a value, either as the next argument or attached with "="
+const VALUE_FLAGS = ['--seed', '--board', '--dice', '--min-words', '--min-score', '--lang', '--fold', '--variant', '--required', '--blocked', '--words', '--dict-letters', '--dict-length', '--bench', '--format', '--export', '--players', '--time', '--warning', '--auto-shake'];
+
+const OUTPUT_FORMATS = ['text', 'json', 'csv'];
+
+function getFlagValue(args, flag) {
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === flag) {
+			return i + 1 < args.length ? args[i + 1] : '';
+		}
+		if (args[i].startsWith(flag + '=')) {
+			return args[i].slice(flag.length + 1);
+		}
+	}
+	return null;
+}
+
 function validateArgs(args) {
-	const validFlags = ['-h', '--help', '-v', '--verbose', '-b'];
+	const validFlags = ['-h', '--help', '-v', '--verbose', '-b', '-p', '--play', '--fold-accents', '--keep-accents', '--no-history', '--hints', '--dict-faces', '--no-timer', '--solve', '--rotated', '--no-answers', '--sound', '--no-sound', ...VALUE_FLAGS];
 	const unknownFlags = [];
 	
 	for (let i = 0; i < args.length; i++) {
@@ -327,6 +916,41 @@ function validateArgs(args) {
 		console.error('Use -h or --help for usage information');
 		process.exit(1);
 	}
+	
+	for (const flag of VALUE_FLAGS) {
+		if (getFlagValue(args, flag) === '') {
+			console.error(`Error: ${flag} requires a value`);
+			process.exit(1);
+		}
+	}
+}
+
+/**
+ * Dictionary filter from --dict-letters, --dict-faces and --dict-length.
+ * @param {string[]} faces this game's (normalized) dice faces, for "dice" letters and --dict-faces
+ * @returns {object} createWordFilter options
+ * @throws {Error} on a malformed length range
+ */
+function parseDictFilter(args, faces, boardSize) {
+	const filter = {};
+	const letters = getFlagValue(args, '--dict-letters');
+	if (letters !== null) {
+		filter.letters = letters === 'dice' ? faces.join('') : letters.toUpperCase();
+	}
+	if (args.includes('--dict-faces')) {
+		filter.faces = faces;
+		filter.maxCells = boardSize.rows * boardSize.cols;
+	}
+	const lengths = getFlagValue(args, '--dict-length');
+	if (lengths !== null) {
+		const match = /^(\d*)-(\d*)$/.exec(lengths);
+		if (!match || (!match[1] && !match[2])) {
+			throw new Error(`--dict-length must be MIN-MAX, MIN- or -MAX (e.g., 3-10), got "${lengths}"`);
+		}
+		if (match[1]) filter.minLength = Number(match[1]);
+		if (match[2]) filter.maxLength = Number(match[2]);
+	}
+	return filter;
 }
 
 async function main() {
@@ -338,19 +962,166 @@ async function main() {
 		showHelp();
 	}
 	
+	if (args[0] === 'cache') {
+		runCacheCommand(args.slice(1));
+		process.exit(0);
+	}
+	
+	if (args[0] === 'query') {
+		await runQueryCommand(args.slice(1));
+		process.exit(0);
+	}
+	
+	if (args[0] === 'settings') {
+		runSettingsCommand(args.slice(1));
+		process.exit(0);
+	}
+	
+	if (args[0] === 'stats') {
+		if (args.length > 1) {
+			console.error(`Error: stats takes no arguments, got: ${args.slice(1).join(' ')}`);
+			process.exit(1);
+		}
+		printStats();
+		process.exit(0);
+	}
+	
 	// Validate arguments
 	validateArgs(args);
 	
-	const verbose = args.includes('-v') || args.includes('--verbose');
+	const format = getFlagValue(args, '--format') || 'text';
+	if (!OUTPUT_FORMATS.includes(format)) {
+		console.error(`Error: --format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${format}"`);
+		process.exit(1);
+	}
+	// json/csv print the data alone; their timings stand in for the verbose logs
+	const verbose = (args.includes('-v') || args.includes('--verbose')) && format === 'text';
+	const play = args.includes('-p') || args.includes('--play');
+	const solveOnly = args.includes('--solve');
+	if (play && (solveOnly || format !== 'text')) {
+		console.error('Error: -p/--play cannot be combined with --solve or --format json/csv');
+		process.exit(1);
+	}
+	const exportFile = getFlagValue(args, '--export');
+	const exportKind = exportFile === null ? null : path.extname(exportFile).toLowerCase().replace(/^\.htm$/, '.html');
+	if (exportFile !== null && exportKind !== '.svg' && exportKind !== '.html') {
+		console.error(`Error: --export writes .svg or .html files, got "${exportFile}"`);
+		process.exit(1);
+	}
+	if (exportFile !== null && (play || format !== 'text')) {
+		console.error('Error: --export cannot be combined with -p/--play or --format json/csv');
+		process.exit(1);
+	}
+	const players = Number(getFlagValue(args, '--players') || 2);
+	if (!Number.isInteger(players) || players < 0) {
+		console.error('Error: --players must be a non-negative integer');
+		process.exit(1);
+	}
+	if (exportFile === null && (args.includes('--rotated') || args.includes('--no-answers') || getFlagValue(args, '--players') !== null)) {
+		console.error('Error: --players, --rotated and --no-answers only work with --export');
+		process.exit(1);
+	}
+	// The countdown waits for a key press, which needs a terminal on both ends
+	const timer = !solveOnly && exportFile === null && format === 'text' && !args.includes('--no-timer')
+		&& Boolean(process.stdin.isTTY && process.stdout.isTTY);
+	const saveHistory = !args.includes('--no-history');
+	const hints = args.includes('--hints');
+	if (hints && !play) {
+		console.error('Error: --hints only works with -p/--play');
+		process.exit(1);
+	}
+	const benchCount = Number(getFlagValue(args, '--bench') || 0);
+	if (!Number.isInteger(benchCount) || benchCount < 0) {
+		console.error('Error: --bench must be a non-negative integer');
+		process.exit(1);
+	}
+	if (benchCount && !verbose) {
+		console.error('Error: --bench only works with -v/--verbose and text output');
+		process.exit(1);
+	}
+	
+	const seed = getFlagValue(args, '--seed');
+	const boardCode = getFlagValue(args, '--board');
+	const diceId = getFlagValue(args, '--dice');
+	const langCode = getFlagValue(args, '--lang');
+	const variantId = getFlagValue(args, '--variant');
+	
+	const wordsSpec = getFlagValue(args, '--words');
+	const targetWords = wordsSpec !== null ? wordsSpec.split(',').map((word) => word.trim()).filter(Boolean) : null;
+	
+	const minWords = Number(getFlagValue(args, '--min-words') || 0);
+	const minScore = Number(getFlagValue(args, '--min-score') || 0);
+	if (!Number.isInteger(minWords) || minWords < 0 || !Number.isInteger(minScore) || minScore < 0) {
+		console.error('Error: --min-words and --min-score must be non-negative integers');
+		process.exit(1);
+	}
+	
+	if (targetWords && (boardCode !== null || solveOnly || minWords || minScore)) {
+		console.error('Error: --words deals its own board; it cannot be combined with --board, --solve, --min-words or --min-score');
+		process.exit(1);
+	}
+	
+	// Saved settings (see the settings subcommand), changed for this game by the flags
+	let settings = DEFAULT_SETTINGS;
+	try {
+		settings = loadSettingsFile();
+	} catch (err) {
+		console.error(`Warning: Could not read settings: ${err.message}`);
+	}
+	try {
+		settings = applySettings(settings, parseSettingsFlags(args));
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	const fixedBoard = boardCode !== null || seed !== null || targetWords !== null || solveOnly;
+	if (getFlagValue(args, '--auto-shake') !== null && settings.autoShakeSeconds > 0 && fixedBoard) {
+		console.error('Error: --auto-shake deals random boards; it cannot be combined with --board, --seed, --words or --solve');
+		process.exit(1);
+	}
+	// Auto-shake plays round after round on new boards, as long as someone is at the terminal
+	const autoShake = settings.autoShakeSeconds > 0 && (timer || play) && !fixedBoard
+		&& Boolean(process.stdin.isTTY && process.stdout.isTTY);
 	
-	// Find dictionary argument (exclude -b and its value)
+	if (diceId === 'list') {
+		printDiceSets();
+		process.exit(0);
+	}
+	if (langCode === 'list') {
+		printLanguages();
+		process.exit(0);
+	}
+	if (variantId === 'list') {
+		printVariants();
+		process.exit(0);
+	}
+	if (langCode !== null && !DICTIONARIES[langCode]) {
+		console.error(`Error: Unknown language: ${langCode}`);
+		console.error('Use --lang list to see the available languages');
+		process.exit(1);
+	}
+	
+	let foldOverrides;
+	try {
+		const foldSpec = getFlagValue(args, '--fold');
+		foldOverrides = {
+			fold: foldSpec !== null ? parseFoldSpec(foldSpec) : undefined,
+			foldAccents: args.includes('--fold-accents') ? true : args.includes('--keep-accents') ? false : undefined,
+		};
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	
+	// Find dictionary argument (exclude -b, value flags and their values)
 	let dictArg = null;
 	for (let i = 0; i < args.length; i++) {
 		const arg = args[i];
 		if (!arg.startsWith('-')) {
 			// Check if this is a board size value (e.g., "5x5" after "-b")
 			const isBoardSize = i > 0 && args[i-1] === '-b' && arg.match(/^\d+x\d+$/);
-			if (!isBoardSize) {
+			const isFlagValue = i > 0 && VALUE_FLAGS.includes(args[i-1]);
+			if (!isBoardSize && !isFlagValue) {
 				dictArg = arg;
 				break;
 			}
@@ -391,69 +1162,310 @@ async function main() {
 		}
 	}
 	
-	// Choose dice set based on board size
-	const totalCells = boardSize.rows * boardSize.cols;
-	const diceSet = getDiceForBoardSize(totalCells);
+	// A given board code replaces the generated board (and its size)
+	let decoded = null;
+	if (boardCode !== null) {
+		try {
+			decoded = parseBoardCode(boardCode);
+		} catch (err) {
+			console.error(`Error: ${err.message}`);
+			process.exit(1);
+		}
+		boardSize = decoded.size;
+	} else if (solveOnly) {
+		if (process.stdin.isTTY) {
+			console.error('Error: --solve needs a board: --board CODE, or one on stdin');
+			process.exit(1);
+		}
+		try {
+			decoded = parseBoardText(fs.readFileSync(0, 'utf8'));
+		} catch (err) {
+			console.error(`Error: ${err.message}`);
+			process.exit(1);
+		}
+		boardSize = decoded.size;
+	}
 	
-	const t0 = nowNs();
-	const board = generateBoard(diceSet, boardSize);
-	const t1 = nowNs();
-	printBoard(board);
-
-	// Dictionary path: dictArg or ./pl_sjp.pl.txt by default
-	const defaultDictPath = path.join(__dirname, "pl_sjp.pl.txt");
+	// Choose dice set: the one named by --dice, else the --lang set for the board size,
+	// else the default (Polish) dice for the board size
+	let diceSet;
+	let diceSetId = null;
+	let diceLanguage = null;
+	if (diceId !== null) {
+		const set = getDiceSet(diceId);
+		if (!set) {
+			console.error(`Error: Unknown dice set: ${diceId}`);
+			console.error('Use --dice list to see the available sets');
+			process.exit(1);
+		}
+		if (boardArgIndex !== -1 && (set.rows !== boardSize.rows || set.cols !== boardSize.cols)) {
+			console.error(`Error: Dice set ${set.id} is for ${set.rows}x${set.cols} boards, not ${boardSize.rows}x${boardSize.cols}`);
+			process.exit(1);
+		}
+		if (langCode !== null && set.language !== langCode) {
+			console.error(`Error: Dice set ${set.id} is for language ${set.language}, not ${langCode}`);
+			process.exit(1);
+		}
+		if (!decoded) boardSize = { rows: set.rows, cols: set.cols };
+		diceSet = set.dice;
+		diceSetId = set.id;
+		diceLanguage = set.language;
+	} else if (langCode !== null && langCode !== DEFAULT_LANGUAGE) {
+		const set = findDiceSetFor({ language: langCode, rows: boardSize.rows, cols: boardSize.cols });
+		if (!set && !decoded) {
+			console.error(`Error: No ${langCode} dice set for ${boardSize.rows}x${boardSize.cols} boards`);
+			console.error('Use --dice list to see the available sets');
+			process.exit(1);
+		}
+		diceSet = set ? set.dice : null;
+		diceSetId = set ? set.id : null;
+		diceLanguage = langCode;
+	} else {
+		diceSet = getDiceForBoardSize(boardSize.rows * boardSize.cols);
+	}
+	
+	// Language: --lang, else the board code's, else the dice set's, else Polish
+	const codeLanguage = decoded && decoded.language ? languageFromKey(decoded.language) : null;
+	if (langCode !== null && codeLanguage && codeLanguage !== langCode) {
+		console.error(`Error: Board code is for language ${codeLanguage}, not ${langCode}`);
+		process.exit(1);
+	}
+	const language = langCode || (codeLanguage && DICTIONARIES[codeLanguage] ? codeLanguage : null)
+		|| diceLanguage || DEFAULT_LANGUAGE;
+	const dictionary = resolveDictionary(language, foldOverrides);
+	
+	// Dictionary path: dictArg or the language's dictionary by default
 	const cliDictPath = dictArg ? path.resolve(dictArg) : null;
-	const dictPath = cliDictPath || defaultDictPath;
+	const dictPath = cliDictPath || dictionary.path;
+
+	// Dictionary filters: words outside them can never be played on this board
+	let dictFilter;
+	try {
+		const faces = normalizeBoard(decoded ? decoded.board : diceSet, dictionary.normalize).flat();
+		dictFilter = parseDictFilter(args, faces, boardSize);
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	const cacheKey = filteredCacheKey(dictionary.cacheKey, dictFilter);
 
 	// Try to load trie from cache first
 	const t2 = nowNs();
-	let trie = loadTrieFromCache(dictPath, verbose);
+	const cached = loadTrieFromCache(dictPath, verbose, cacheKey);
+	let trie = cached && cached.dawg;
 	let cacheHit = false;
 	let dictLoadTime = 0;
 	
 	if (!trie) {
-		// Cache miss - need to load dictionary and build trie
+		// Cache miss - stream the dictionary into a DAWG and cache it
 		const dictStart = nowNs();
-		const dictionary = loadDictionaryFromFileMaybe(dictPath, verbose);
+		trie = await loadDictionaryFromFileMaybe(dictPath, verbose, dictionary.normalize, dictFilter);
 		dictLoadTime = nowNs() - dictStart;
 		
-		if (!dictionary) {
+		if (!trie) {
 			console.error(`Error: Could not load dictionary from ${dictPath}`);
 			process.exit(1);
 		}
-		
-		// Build trie from dictionary and cache it
-		if (verbose) console.log("Building trie from dictionary...");
-		trie = buildTrie(dictionary);
-		saveTrieToCache(dictPath, trie, verbose);
+		saveTrieToCache(dictPath, trie, verbose, cacheKey);
 	} else {
 		cacheHit = true;
 		if (verbose) console.log("Skipped loading dictionary - using cached trie");
 	}
 	const t3 = nowNs();
-	const foundSet = findWords(board, trie, { minLength: 3 });
-	const t4 = nowNs();
+	// Identifies the dictionary in saved games; only a cache miss hashes the file (already done when caching it)
+	const dictionaryHash = cacheHit ? cached.contentHash : hashDictionary(dictPath, cacheKey);
+
+	// Variant rules and scoring for this board size; --required/--blocked adjust any variant
+	let variant;
+	try {
+		const requiredSpec = getFlagValue(args, '--required');
+		const blockedSpec = getFlagValue(args, '--blocked');
+		variant = resolveVariant(variantId, boardSize, {
+			...(requiredSpec !== null ? parseRequired(dictionary.normalize(requiredSpec), boardSize) : {}),
+			blockedCells: blockedSpec !== null ? parseCellList(blockedSpec, boardSize) : undefined,
+		});
+	} catch (err) {
+		console.error(`Error: ${err.message}`);
+		process.exit(1);
+	}
+	const { rules, scoring } = variant;
+	// One round per board; with auto-shake another board is dealt after each round
+	for (;;) {
+		const t0 = nowNs();
+		// Faces are spelled like the dictionary's words (e.g. with accents folded)
+		let board;
+		if (decoded) {
+			board = normalizeBoard(decoded.board, dictionary.normalize);
+		} else {
+			try {
+				const dice = normalizeBoard(diceSet, dictionary.normalize);
+				if (targetWords) {
+					board = generateBoardWithWords(dice, boardSize, targetWords.map(dictionary.normalize), { seed, rules });
+				} else {
+					board = generateBoard(dice, boardSize, {
+						seed,
+						trie,
+						minWords,
+						minScore,
+						rules,
+						scoreWord: (word) => pointsForWord(word, scoring),
+					});
+				}
+			} catch (err) {
+				console.error(`Error: ${err.message}`);
+				process.exit(1);
+			}
+		}
+		const t1 = nowNs();
+		const boardSeed = decoded ? decoded.seed : seed;
+		const boardLanguage = decoded ? decoded.language : (langCode || diceLanguage);
+		const code = formatBoardCode(board, { language: boardLanguage, seed: boardSeed });
+		if (format === 'text') {
+			printBoard(board, rules);
+			if (variant.id !== DEFAULT_VARIANT || rules.requiredCell || rules.requiredLetter || rules.blockedCells) {
+				console.log(`Variant: ${describeVariant(variant)}`);
+			}
+			if (boardSeed !== null) console.log(`Seed: ${boardSeed}`);
+			console.log(`Board code: ${code}`);
+		}
+
+		const tFind = nowNs();
+		const solveOptions = { minLength: scoring.minLength, rules };
+		const paths = format === 'text' ? null : findWordsWithPaths(board, trie, solveOptions);
+		const foundSet = paths ? new Set(paths.keys()) : findWords(board, trie, solveOptions);
+		const t4 = nowNs();
+
+		const results = sortWords(foundSet);
 
-	const results = Array.from(foundSet).sort((a, b) => (a.length === b.length ? (a < b ? -1 : 1) : a.length - b.length));
+		if (exportFile !== null) {
+			const rotated = args.includes('--rotated');
+			const content = exportKind === '.svg'
+				? renderBoardSvg(board, { rules, acrossTable: rotated }) + '\n'
+				: renderPrintHtml(board, {
+					code,
+					seed: boardSeed,
+					lang: dictionary.locale,
+					rules,
+					rotated,
+					players,
+					words: args.includes('--no-answers') ? null : results,
+					scoring,
+				});
+			try {
+				fs.writeFileSync(exportFile, content, 'utf8');
+			} catch (err) {
+				console.error(`Error: Could not write ${exportFile}: ${err.message}`);
+				process.exit(1);
+			}
+			console.log(`\nWrote ${exportFile}`);
+			process.exit(0);
+		}
 
-	await countdownAndWait();
+		if (format !== 'text') {
+			printReport(format, {
+				board,
+				code,
+				seed: boardSeed,
+				language,
+				variant,
+				words: results,
+				paths,
+				timings: {
+					generateBoard: roundMs(t1 - t0),
+					loadDictionary: roundMs(dictLoadTime),
+					loadTrie: roundMs(t3 - t2),
+					findWords: roundMs(t4 - tFind),
+					total: roundMs(t4 - t2),
+				},
+			});
+			process.exit(0);
+		}
 
-	if (verbose) {
-		console.log("\nPerformance:");
-		console.log(`- Generating board: ${formatTime(t1 - t0)}`);
-		if (dictLoadTime > 0) {
-			console.log(`- Loading dictionary: ${formatTime(dictLoadTime)}`);
+		let enteredWords = null;
+		const hinter = hints ? createHinter(board, results, scoring, rules) : null;
+		if (play) {
+			enteredWords = await playRound(board, trie, scoring, dictionary.normalize, rules, hinter, settings);
+		} else if (timer) {
+			await countdownAndWait(settings);
 		}
-		console.log(`- ${cacheHit ? 'Loading trie (cached)' : 'Building trie'}: ${formatTime(t3 - t2)}`);
-		console.log(`- Finding words:    ${formatTime(t4 - t3)}`);
-		console.log(`- Total time:       ${formatTime(t4 - t0)}`);
-	}
 
-	console.log("\nFound words (sorted short->long):");
-	printWordsWithColors(results);
-	
-	console.log("\nLinks:");
-	printLinks(results);
+		if (verbose) {
+			console.log("\nPerformance:");
+			console.log(`- Generating board: ${formatTime(t1 - t0)}`);
+			if (dictLoadTime > 0) {
+				console.log(`- Loading dictionary: ${formatTime(dictLoadTime)}`);
+			}
+			console.log(`- ${cacheHit ? 'Loading trie (cached)' : 'Building trie'}: ${formatTime(t3 - t2)}`);
+			console.log(`- Finding words:    ${formatTime(t4 - tFind)}`);
+			console.log(`- Total time:       ${formatTime(t4 - t2)}`);
+			if (benchCount) {
+				const dice = diceSet ? normalizeBoard(diceSet, dictionary.normalize) : null;
+				const bench = await benchmarkBatch(benchCount, dice, board, trie, solveOptions);
+				console.log(`- Batch of ${bench.count} boards:`);
+				const workersLabel = `${bench.workers} worker${bench.workers === 1 ? '' : 's'}:`;
+				console.log(`  - ${'1 thread:'.padEnd(16, ' ')}${formatTime(bench.sequential)} (${formatRate(bench.count, bench.sequential)})`);
+				console.log(`  - ${workersLabel.padEnd(16, ' ')}${formatTime(bench.parallel)} (${formatRate(bench.count, bench.parallel)})`);
+			}
+		}
+
+		if (enteredWords) {
+			const breakdown = scoreGame(board, trie, { you: enteredWords }, { scoring, rules }).you;
+			const acceptedWords = new Set(
+				breakdown.words.filter((entry) => entry.status === WORD_STATUS.ACCEPTED).map((entry) => entry.word)
+			);
+			const missed = results.filter((word) => !acceptedWords.has(word) && pointsForWord(word, scoring) > 0);
+
+			// Hints are paid for out of the words' points, never below zero
+			const hintPenalty = hinter ? hinter.cost() : 0;
+			const score = Math.max(0, breakdown.score - hintPenalty);
+			const hintNote = hinter && hinter.used() > 0
+				? `, ${hinter.used()} hint${hinter.used() === 1 ? '' : 's'} -${hintPenalty}` : '';
+
+			console.log(`\n${colors.bright}Score: ${score}${colors.reset} (${acceptedWords.size} of ${acceptedWords.size + missed.length} words${hintNote})`);
+			console.log("\nMissed words (sorted short->long):");
+			printWordsWithColors(missed);
+			printCoaching(missed);
+
+			console.log("\nLinks:");
+			printLinks(missed, dictionary);
+
+			if (saveHistory) {
+				try {
+					const historyPath = appendGame({
+						boardCode: code,
+						board,
+						seed: boardSeed,
+						diceSet: decoded ? null : diceSetId,
+						language,
+						variant: variant.id,
+						dictionary: path.basename(dictPath),
+						dictionaryHash,
+						words: enteredWords,
+						accepted: Array.from(acceptedWords),
+						missed,
+						available: acceptedWords.size + missed.length,
+						hints: hinter ? hinter.used() : 0,
+						hintPenalty,
+						score,
+					});
+					if (verbose) console.log(`\nSaved game to ${historyPath}`);
+				} catch (err) {
+					console.error(`Warning: Could not save game history: ${err.message}`);
+				}
+			}
+		} else {
+			console.log("\nFound words (sorted short->long):");
+			printWordsWithColors(results);
+
+			console.log("\nLinks:");
+			printLinks(results, dictionary);
+		}
+		
+		if (!autoShake) break;
+		console.log('');
+		if (!(await waitForNextRound(settings.autoShakeSeconds))) break;
+		console.log('');
+	}
 	
 	process.exit(0);
 }
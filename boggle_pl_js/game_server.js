@@ -0,0 +1,427 @@
+"use strict";
+
+// Local multiplayer game server (WebSocket, no packages needed).
+// - Players join named rooms; everyone in a room gets the same board and one server-side countdown.
+// - Words are checked as they arrive (only the sender sees the result) and scored at the end,
+//   with words found by more than one player cancelled; the full solution is broadcast too.
+// - Serves the browser client (multiplayer.html) at "/" and the WebSocket at "/game".
+//
+// Messages are JSON objects with a "type":
+//   client -> server  join {room, name} | start {diceSet?, seconds?, seed?} | word {word} | leave
+//   server -> client  welcome {diceSets, languages} | room {...} | start {...} | tick {remaining}
+//                     word {word, status, points} | end {results, solution} | error {message}
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const { DICE_SETS, getDiceSet, generateBoard, formatBoardCode, findWords, sortWords } = require("./boggle_pl");
+const { WORD_STATUS, getScoringForBoardSize, pointsForWord, checkWord, scoreGame } = require("./scoring");
+const { DICTIONARIES, resolveDictionary, normalizeBoard } = require("./dictionaries");
+const { loadOrBuildTrie } = require("./dictionary_loader");
+const { acceptWebSocket } = require("./websocket");
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_DICE_SET = "pol44-multi";
+const DEFAULT_SECONDS = 180;
+const MIN_SECONDS = 10;
+const MAX_SECONDS = 30 * 60;
+const MAX_NAME_LENGTH = 24;
+const CLIENT_PAGE = path.join(__dirname, "..", "multiplayer.html");
+
+const ROOM_STATE = {
+	LOBBY: "lobby",
+	PLAYING: "playing",
+	FINISHED: "finished",
+};
+
+/**
+ * Error reported back to the client that caused it.
+ */
+class GameError extends Error {}
+
+/**
+ * One room: its players and, once started, the current game.
+ */
+class GameRoom {
+	/**
+	 * @param {string} name
+	 * @param {function(string): {trie: object, dictionary: object}} getDictionary
+	 */
+	constructor(name, getDictionary) {
+		this.name = name;
+		this.getDictionary = getDictionary;
+		this.players = new Map(); // socket -> { name, words: string[], accepted: Set<string> }
+		this.host = null;
+		this.state = ROOM_STATE.LOBBY;
+		this.game = null;
+		this.interval = null;
+	}
+
+	get isEmpty() {
+		return this.players.size === 0;
+	}
+
+	join(socket, name) {
+		for (const player of this.players.values()) {
+			if (player.name === name) throw new GameError(`name "${name}" is already taken in room ${this.name}`);
+		}
+		this.players.set(socket, { name, words: [], accepted: new Set() });
+		if (!this.host) this.host = name;
+		this.broadcastRoom();
+		// Late joiners play the rest of a running game
+		if (this.state === ROOM_STATE.PLAYING) socket.send(JSON.stringify(this.startMessage()));
+	}
+
+	leave(socket) {
+		const player = this.players.get(socket);
+		if (!player) return;
+		this.players.delete(socket);
+		if (this.host === player.name) {
+			const next = this.players.values().next();
+			this.host = next.done ? null : next.value.name;
+		}
+		if (this.isEmpty) {
+			this.stopTimer();
+			return;
+		}
+		this.broadcastRoom();
+	}
+
+	/**
+	 * Deal a board and start the countdown.
+	 * @param {{ diceSet?: string, seconds?: number, seed?: string }} settings
+	 */
+	start(socket, settings) {
+		const player = this.players.get(socket);
+		if (player.name !== this.host) throw new GameError("only the host can start a game");
+		if (this.state === ROOM_STATE.PLAYING) throw new GameError("a game is already running");
+
+		const set = getDiceSet(settings.diceSet || DEFAULT_DICE_SET);
+		if (!set) throw new GameError(`unknown dice set: ${settings.diceSet}`);
+		const seconds = settings.seconds === undefined ? DEFAULT_SECONDS : Number(settings.seconds);
+		if (!Number.isInteger(seconds) || seconds < MIN_SECONDS || seconds > MAX_SECONDS) {
+			throw new GameError(`seconds must be an integer from ${MIN_SECONDS} to ${MAX_SECONDS}`);
+		}
+		const seed = settings.seed === undefined || settings.seed === "" ? null : String(settings.seed);
+
+		const { trie, dictionary } = this.getDictionary(set.language);
+		const size = { rows: set.rows, cols: set.cols };
+		const board = generateBoard(normalizeBoard(set.dice, dictionary.normalize), size, { seed });
+		const scoring = getScoringForBoardSize(size);
+		this.game = {
+			diceSet: set.id,
+			language: set.language,
+			board,
+			boardCode: formatBoardCode(board, { language: set.language, seed }),
+			trie,
+			dictionary,
+			scoring,
+			seconds,
+			endsAt: Date.now() + seconds * 1000,
+		};
+		for (const p of this.players.values()) {
+			p.words = [];
+			p.accepted = new Set();
+		}
+		this.state = ROOM_STATE.PLAYING;
+		this.broadcastRoom();
+		this.broadcast(this.startMessage());
+
+		this.stopTimer();
+		this.interval = setInterval(() => {
+			const remaining = this.remainingSeconds();
+			if (remaining <= 0) {
+				this.finish();
+			} else {
+				this.broadcast({ type: "tick", remaining });
+			}
+		}, 1000);
+	}
+
+	/**
+	 * Check a word for its player; the result goes to that player only.
+	 */
+	submitWord(socket, raw) {
+		if (this.state !== ROOM_STATE.PLAYING || this.remainingSeconds() <= 0) {
+			throw new GameError("no game is running");
+		}
+		const player = this.players.get(socket);
+		const { board, trie, dictionary, scoring } = this.game;
+		const word = dictionary.normalize(String(raw || ""));
+		if (!word) return;
+		player.words.push(word);
+		let status;
+		if (player.accepted.has(word)) {
+			status = WORD_STATUS.DUPLICATE;
+		} else {
+			status = checkWord(board, trie, word, scoring).status;
+			if (status === WORD_STATUS.ACCEPTED) player.accepted.add(word);
+		}
+		const points = status === WORD_STATUS.ACCEPTED ? pointsForWord(word, scoring) : 0;
+		socket.send(JSON.stringify({ type: "word", word, status, points }));
+	}
+
+	finish() {
+		this.stopTimer();
+		const { board, trie, scoring } = this.game;
+		const playerWords = {};
+		for (const player of this.players.values()) playerWords[player.name] = player.words;
+		const results = scoreGame(board, trie, playerWords, { scoring });
+		const solution = sortWords(findWords(board, trie, { minLength: scoring.minLength }));
+		this.state = ROOM_STATE.FINISHED;
+		this.broadcastRoom();
+		this.broadcast({ type: "end", boardCode: this.game.boardCode, results, solution });
+	}
+
+	stopTimer() {
+		if (this.interval) clearInterval(this.interval);
+		this.interval = null;
+	}
+
+	remainingSeconds() {
+		return Math.max(0, Math.ceil((this.game.endsAt - Date.now()) / 1000));
+	}
+
+	startMessage() {
+		const { diceSet, language, board, boardCode, scoring, seconds } = this.game;
+		return {
+			type: "start",
+			diceSet,
+			language,
+			board,
+			boardCode,
+			minLength: scoring.minLength,
+			seconds,
+			remaining: this.remainingSeconds(),
+		};
+	}
+
+	broadcastRoom() {
+		this.broadcast({
+			type: "room",
+			room: this.name,
+			host: this.host,
+			state: this.state,
+			players: Array.from(this.players.values(), (player) => player.name),
+		});
+	}
+
+	broadcast(message) {
+		const text = JSON.stringify(message);
+		for (const socket of this.players.keys()) socket.send(text);
+	}
+}
+
+/**
+ * Create the game server: HTTP for the client page, WebSocket upgrades on /game.
+ * @param {{ dictionaries?: Object<string, string>, verbose?: boolean }} options
+ *   dictionaries: language code -> file, replacing the registry's file for that language
+ * @returns {http.Server} not yet listening
+ */
+function createGameServer(options) {
+	const opts = options || {};
+	const verbose = Boolean(opts.verbose);
+	const rooms = new Map();
+	const loading = new Map(); // language -> Promise of { trie, dictionary }
+	const loaded = new Map();
+
+	// Dictionaries stream in asynchronously; rooms only start once theirs is loaded
+	function loadDictionary(language) {
+		if (!loading.has(language)) {
+			const file = opts.dictionaries && opts.dictionaries[language];
+			const dictionary = resolveDictionary(language, { file });
+			loading.set(language, loadOrBuildTrie(dictionary.path, verbose, dictionary).then((trie) => {
+				if (!trie) {
+					loading.delete(language);
+					throw new GameError(`dictionary for "${language}" is not available`);
+				}
+				const entry = { trie, dictionary };
+				loaded.set(language, entry);
+				return entry;
+			}));
+		}
+		return loading.get(language);
+	}
+
+	function getDictionary(language) {
+		if (!loaded.has(language)) throw new GameError(`dictionary for "${language}" is still loading`);
+		return loaded.get(language);
+	}
+
+	async function handleMessage(socket, client, text) {
+		let message;
+		try {
+			message = JSON.parse(text);
+		} catch (_err) {
+			throw new GameError("messages must be JSON");
+		}
+		if (message.type === "join") {
+			const roomName = String(message.room || "").trim();
+			const name = String(message.name || "").trim();
+			if (!roomName || !name || name.length > MAX_NAME_LENGTH) {
+				throw new GameError(`join needs a room and a name of 1-${MAX_NAME_LENGTH} characters`);
+			}
+			leaveRoom(socket, client);
+			if (!rooms.has(roomName)) rooms.set(roomName, new GameRoom(roomName, getDictionary));
+			const room = rooms.get(roomName);
+			room.join(socket, name);
+			client.room = room;
+			if (verbose) console.log(`${name} joined ${roomName}`);
+			return;
+		}
+		if (!client.room) throw new GameError("join a room first");
+		if (message.type === "start") {
+			const set = getDiceSet(message.diceSet || DEFAULT_DICE_SET);
+			if (set) await loadDictionary(set.language);
+			if (!client.room) throw new GameError("join a room first");
+			client.room.start(socket, message);
+			if (verbose) console.log(`${client.room.name}: started ${client.room.game.boardCode}`);
+		} else if (message.type === "word") {
+			client.room.submitWord(socket, message.word);
+		} else if (message.type === "leave") {
+			leaveRoom(socket, client);
+		} else {
+			throw new GameError(`unknown message type: ${message.type}`);
+		}
+	}
+
+	function leaveRoom(socket, client) {
+		if (!client.room) return;
+		client.room.leave(socket);
+		if (client.room.isEmpty) rooms.delete(client.room.name);
+		client.room = null;
+	}
+
+	const server = http.createServer((req, res) => {
+		const url = new URL(req.url, "http://localhost");
+		if (req.method !== "GET" || (url.pathname !== "/" && url.pathname !== "/multiplayer.html")) {
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("not found");
+			return;
+		}
+		fs.readFile(CLIENT_PAGE, (err, page) => {
+			if (err) {
+				res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+				res.end(`could not read ${CLIENT_PAGE}`);
+				return;
+			}
+			res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+			res.end(page);
+		});
+	});
+
+	server.on("upgrade", (req, socket, head) => {
+		if (new URL(req.url, "http://localhost").pathname !== "/game") {
+			socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+			return;
+		}
+		const ws = acceptWebSocket(req, socket, head);
+		if (!ws) return;
+		const client = { room: null };
+		ws.send(JSON.stringify({
+			type: "welcome",
+			diceSets: DICE_SETS.sets.map(({ id, name, language, rows, cols }) => ({ id, name, language, rows, cols })),
+			languages: Object.keys(DICTIONARIES),
+			defaultDiceSet: DEFAULT_DICE_SET,
+		}));
+		ws.on("message", (text) => {
+			handleMessage(ws, client, text).catch((err) => {
+				if (!(err instanceof GameError)) console.error(`Error: ${err.message}`);
+				ws.send(JSON.stringify({ type: "error", message: err.message }));
+			});
+		});
+		ws.on("close", () => leaveRoom(ws, client));
+	});
+
+	server.on("close", () => {
+		for (const room of rooms.values()) room.stopTimer();
+	});
+	return server;
+}
+
+/**
+ * Start the game server.
+ * @param {{ port?: number, dictionaries?: Object<string, string>, verbose?: boolean }} options
+ * @returns {http.Server}
+ */
+function startGameServer(options) {
+	const opts = options || {};
+	const port = opts.port || DEFAULT_PORT;
+	const server = createGameServer(opts);
+	server.listen(port, () => {
+		console.log(`Game server listening on http://localhost:${port}/`);
+	});
+	return server;
+}
+
+function showHelp() {
+	console.log(`
+Boggle Multiplayer Server
+
+USAGE:
+  node game_server.js [OPTIONS] [LANG=DICTIONARY_FILE ...]
+
+OPTIONS:
+  -h, --help          Show this help message
+  -v, --verbose       Log rooms, games and cache operations
+  -p PORT             Port to listen on (default: ${DEFAULT_PORT})
+
+Open http://localhost:PORT/ in each player's browser, pick the same room and
+let the host start the game. Other machines on the network can join through
+this machine's address.
+
+DICTIONARIES:
+${Object.keys(DICTIONARIES).map((lang) => `  ${lang}  ${DICTIONARIES[lang].file}`).join("\n")}
+
+EXAMPLES:
+  node game_server.js                           # Serve on port ${DEFAULT_PORT}
+  node game_server.js -p 9000 eng=words.txt     # Custom port and English dictionary
+`);
+	process.exit(0);
+}
+
+function main() {
+	const args = process.argv.slice(2);
+	if (args.includes("-h") || args.includes("--help")) {
+		showHelp();
+	}
+
+	const options = { port: DEFAULT_PORT, dictionaries: {}, verbose: false };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === "-v" || arg === "--verbose") {
+			options.verbose = true;
+		} else if (arg === "-p") {
+			options.port = Number(args[++i]);
+			if (!Number.isInteger(options.port) || options.port < 1) {
+				console.error("Error: Port must be a positive integer");
+				process.exit(1);
+			}
+		} else if (/^[a-z]+=.+/.test(arg)) {
+			const eq = arg.indexOf("=");
+			const lang = arg.slice(0, eq);
+			if (!DICTIONARIES[lang]) {
+				console.error(`Error: Unknown language: ${lang} (known: ${Object.keys(DICTIONARIES).join(", ")})`);
+				process.exit(1);
+			}
+			options.dictionaries[lang] = path.resolve(arg.slice(eq + 1));
+		} else {
+			console.error(`Error: Unknown argument: ${arg}`);
+			console.error("Use -h or --help for usage information");
+			process.exit(1);
+		}
+	}
+
+	startGameServer(options);
+}
+
+module.exports = {
+	GameRoom,
+	createGameServer,
+	startGameServer,
+};
+
+if (require.main === module) {
+	main();
+}
@@ -0,0 +1,272 @@
+"use strict";
+
+// Game settings shared by the CLI and new3.html: round length, the warning before time runs out,
+// dealing the next board automatically ("auto-shake") and sound cues, plus the round timer itself.
+// - Settings are plain objects; applySettings validates changes, so a bad value never reaches a game.
+// - Stored as JSON: in settings.json in the user's config directory (Node), or in localStorage
+//   under STORAGE_KEY (browser). Unknown or invalid stored values fall back to the defaults.
+// - Node: require("./game_settings"). Browser: <script src="boggle_pl_js/game_settings.js">
+//   exposes window.BoggleSettings.
+
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.BoggleSettings = factory();
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	/**
+	 * - roundSeconds: length of a round
+	 * - warningSeconds: the timer warns this long before the end (0: no warning)
+	 * - autoShakeSeconds: deal the next board this long after a round ends (0: wait for the player)
+	 * - sound: cue the warning and the end of a round (terminal bell, Web Audio beep)
+	 */
+	const DEFAULT_SETTINGS = Object.freeze({
+		roundSeconds: 180,
+		warningSeconds: 30,
+		autoShakeSeconds: 0,
+		sound: true,
+	});
+
+	// Inclusive ranges of the numeric settings, in seconds; 99:59 still fits the clocks
+	const LIMITS = {
+		roundSeconds: [1, 5999],
+		warningSeconds: [0, 5999],
+		autoShakeSeconds: [0, 600],
+	};
+
+	const STORAGE_KEY = "boggle_pl.settings";
+	const SETTINGS_FILE = "settings.json";
+	const TICK_MS = 200;
+
+	/**
+	 * Parse a duration: seconds ("90", "90s"), minutes ("3m") or minutes:seconds ("2:30").
+	 * @param {string|number} text
+	 * @returns {number} whole seconds
+	 * @throws {Error} on anything else
+	 */
+	function parseDuration(text) {
+		const value = String(text).trim().toLowerCase();
+		let match;
+		if ((match = /^(\d+)s?$/.exec(value))) return Number(match[1]);
+		if ((match = /^(\d+)m$/.exec(value))) return Number(match[1]) * 60;
+		if ((match = /^(\d+):([0-5]\d)$/.exec(value))) return Number(match[1]) * 60 + Number(match[2]);
+		throw new Error(`invalid duration "${text}" (expected e.g. 90, 90s, 3m or 2:30)`);
+	}
+
+	/**
+	 * Format seconds as minutes:seconds, e.g. 150 -> "2:30".
+	 * @param {number} seconds
+	 * @returns {string}
+	 */
+	function formatDuration(seconds) {
+		return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+	}
+
+	/**
+	 * Settings with some values changed.
+	 * @param {object} settings current settings (e.g. DEFAULT_SETTINGS)
+	 * @param {object} changes values to change; durations in seconds
+	 * @returns {object} new settings object
+	 * @throws {Error} for an unknown setting or an invalid value
+	 */
+	function applySettings(settings, changes) {
+		const next = Object.assign({}, settings);
+		for (const key of Object.keys(changes)) {
+			const value = changes[key];
+			if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+				throw new Error(`unknown setting: ${key}`);
+			}
+			if (key === "sound") {
+				if (typeof value !== "boolean") throw new Error(`sound must be true or false, got ${value}`);
+			} else {
+				const [min, max] = LIMITS[key];
+				if (!Number.isInteger(value) || value < min || value > max) {
+					throw new Error(`${key} must be a whole number of seconds from ${min} to ${max}, got ${value}`);
+				}
+			}
+			next[key] = value;
+		}
+		return next;
+	}
+
+	/**
+	 * Settings from stored JSON: the defaults, overridden by every valid stored value.
+	 * @param {string|null} text JSON object, or null when nothing is stored
+	 * @returns {object}
+	 */
+	function parseStoredSettings(text) {
+		let stored = null;
+		try {
+			stored = text ? JSON.parse(text) : null;
+		} catch (_err) {
+			stored = null;
+		}
+		let settings = Object.assign({}, DEFAULT_SETTINGS);
+		if (!stored || typeof stored !== "object") return settings;
+		for (const key of Object.keys(DEFAULT_SETTINGS)) {
+			if (stored[key] === undefined) continue;
+			try {
+				settings = applySettings(settings, { [key]: stored[key] });
+			} catch (_err) {
+				// A value from an older or hand-edited file: keep the default
+			}
+		}
+		return settings;
+	}
+
+	/**
+	 * Settings file of the CLI (Node only): $BOGGLE_PL_CONFIG_DIR/settings.json, else in
+	 * $XDG_CONFIG_HOME/boggle_pl (~/.config/boggle_pl), %APPDATA%\boggle_pl on Windows,
+	 * ~/Library/Preferences/boggle_pl on macOS.
+	 * @returns {string}
+	 */
+	function getSettingsPath() {
+		const os = require("os");
+		const path = require("path");
+		let dir;
+		if (process.env.BOGGLE_PL_CONFIG_DIR) {
+			dir = process.env.BOGGLE_PL_CONFIG_DIR;
+		} else if (process.platform === "win32" && process.env.APPDATA) {
+			dir = path.join(process.env.APPDATA, "boggle_pl");
+		} else if (process.platform === "darwin") {
+			dir = path.join(os.homedir(), "Library", "Preferences", "boggle_pl");
+		} else {
+			dir = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "boggle_pl");
+		}
+		return path.join(dir, SETTINGS_FILE);
+	}
+
+	/**
+	 * Read the settings file (Node only).
+	 * @param {string} [file] defaults to getSettingsPath()
+	 * @returns {object} the defaults when the file does not exist yet
+	 */
+	function loadSettingsFile(file) {
+		const fs = require("fs");
+		try {
+			return parseStoredSettings(fs.readFileSync(file || getSettingsPath(), "utf8"));
+		} catch (err) {
+			if (err.code === "ENOENT") return Object.assign({}, DEFAULT_SETTINGS);
+			throw err;
+		}
+	}
+
+	/**
+	 * Write the settings file, creating its directory if needed (Node only).
+	 * @param {object} settings
+	 * @param {string} [file] defaults to getSettingsPath()
+	 * @returns {string} the file written
+	 */
+	function saveSettingsFile(settings, file) {
+		const fs = require("fs");
+		const path = require("path");
+		const target = file || getSettingsPath();
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.writeFileSync(target, JSON.stringify(settings, null, 2) + "\n", "utf8");
+		return target;
+	}
+
+	/**
+	 * Countdown of one round that can be paused. The remaining time is measured against the clock,
+	 * so a busy or throttled page never makes the round longer.
+	 * @param {{ seconds: number, warningSeconds?: number, onTick?: function(number, boolean): void,
+	 *   onWarning?: function(number): void, onEnd?: function(): void }} options
+	 *   onTick(remaining, warning): whenever the remaining whole seconds change, and on start/pause/resume;
+	 *   warning is true within the last warningSeconds (no warning when that is the whole round).
+	 *   onWarning: once, as the warning begins.
+	 *   onEnd: once, when the time is up (not when stopped).
+	 * @returns {{ start: function(): void, pause: function(): boolean, resume: function(): boolean,
+	 *   togglePause: function(): boolean, stop: function(): void, remaining: function(): number,
+	 *   isPaused: function(): boolean, isRunning: function(): boolean }}
+	 *   pause/resume return whether anything changed; togglePause returns whether the timer is now paused
+	 */
+	function createRoundTimer(options) {
+		const warningSeconds = options.warningSeconds < options.seconds ? options.warningSeconds || 0 : 0;
+		let remainingMs = options.seconds * 1000;
+		let deadline = null; // set while running
+		let interval = null;
+		let started = false;
+		let finished = false;
+		let warned = false;
+		let shown = null;
+
+		function remaining() {
+			const ms = deadline === null ? remainingMs : deadline - Date.now();
+			return Math.max(0, Math.ceil(ms / 1000));
+		}
+
+		function report(force) {
+			const seconds = remaining();
+			if (seconds === shown && !force) return seconds;
+			shown = seconds;
+			const warning = seconds > 0 && seconds <= warningSeconds;
+			if (warning && !warned) {
+				warned = true;
+				if (options.onWarning) options.onWarning(seconds);
+			}
+			if (options.onTick) options.onTick(seconds, warning);
+			return seconds;
+		}
+
+		function halt() {
+			if (deadline !== null) remainingMs = Math.max(0, deadline - Date.now());
+			deadline = null;
+			clearInterval(interval);
+			interval = null;
+		}
+
+		function tick() {
+			if (report(false) > 0) return;
+			halt();
+			finished = true;
+			if (options.onEnd) options.onEnd();
+		}
+
+		function resume() {
+			if (finished || deadline !== null) return false;
+			started = true;
+			deadline = Date.now() + remainingMs;
+			interval = setInterval(tick, TICK_MS);
+			report(true);
+			return true;
+		}
+
+		function pause() {
+			if (deadline === null) return false;
+			halt();
+			report(true);
+			return true;
+		}
+
+		return {
+			start: resume,
+			pause,
+			resume,
+			togglePause() {
+				if (!pause()) resume();
+				return deadline === null && started && !finished;
+			},
+			stop() {
+				halt();
+				finished = true;
+			},
+			remaining,
+			isPaused: () => started && !finished && deadline === null,
+			isRunning: () => deadline !== null,
+		};
+	}
+
+	return {
+		DEFAULT_SETTINGS,
+		STORAGE_KEY,
+		parseDuration,
+		formatDuration,
+		applySettings,
+		parseStoredSettings,
+		getSettingsPath,
+		loadSettingsFile,
+		saveSettingsFile,
+		createRoundTimer,
+	};
+});
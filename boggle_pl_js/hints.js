@@ -0,0 +1,104 @@
+"use strict";
+
+// Hints during play and coaching after it, both built from the solver's word list.
+// - Hints get more specific each time: how many long words are left, where one starts, how it begins.
+// - Every hint costs points (HINT_COSTS), taken off the final score.
+// - The coaching summary groups missed words by length and by their first two letters.
+
+const { findWordPath } = require("./boggle_pl");
+const { pointsForWord } = require("./scoring");
+
+/**
+ * Points each kind of hint costs.
+ */
+const HINT_COSTS = {
+	count: 1,
+	start: 2,
+	prefix: 3,
+};
+
+const HINT_ORDER = ["count", "start", "prefix"];
+
+function letterCount(word) {
+	return Array.from(word).length;
+}
+
+/**
+ * Create a hint source for one round.
+ * @param {string[][]} board
+ * @param {Iterable<string>} words every word on the board (e.g. from findWords)
+ * @param {{minLength: number, points: Object<number, number>}} scoring only scoring words are hinted
+ * @param {object} [rules] board rules of the variant, see compileRules in boggle_pl.js
+ * @returns {{ next: function(Set<string>): ({kind: string, text: string, cost: number}|null), used: function(): number, cost: function(): number }}
+ *   next(found) gives the next hint about words not in found, or null when none are left
+ */
+function createHinter(board, words, scoring, rules) {
+	// Longest first, so hints point at the words worth the most
+	const candidates = Array.from(words)
+		.filter((word) => pointsForWord(word, scoring) > 0)
+		.sort((a, b) => letterCount(b) - letterCount(a) || a.localeCompare(b));
+	let used = 0;
+	let cost = 0;
+
+	function describe(kind, target, remaining) {
+		const length = letterCount(target);
+		if (kind === "count") {
+			const atLeast = Math.max(scoring.minLength, length - 1);
+			const count = remaining.filter((word) => letterCount(word) >= atLeast).length;
+			return `There ${count === 1 ? "is 1 word" : `are ${count} words`} of ${atLeast}+ letters you have not found`;
+		}
+		if (kind === "start") {
+			const [row, col] = findWordPath(board, target, rules)[0];
+			return `A ${length}-letter word starts at row ${row + 1}, col ${col + 1}`;
+		}
+		return `A ${length}-letter word starts with ${Array.from(target).slice(0, 2).join("")}`;
+	}
+
+	return {
+		next(found) {
+			const remaining = candidates.filter((word) => !found.has(word));
+			if (remaining.length === 0) return null;
+			const kind = HINT_ORDER[used % HINT_ORDER.length];
+			const hint = { kind, text: describe(kind, remaining[0], remaining), cost: HINT_COSTS[kind] };
+			used += 1;
+			cost += hint.cost;
+			return hint;
+		},
+		used: () => used,
+		cost: () => cost,
+	};
+}
+
+/**
+ * Group missed words for the coaching summary.
+ * @param {string[]} missed
+ * @param {{ minPrefixWords?: number }} options minPrefixWords: smallest prefix group to list (default 2)
+ * @returns {{ byLength: {length: number, words: string[]}[], byPrefix: {prefix: string, words: string[]}[] }}
+ *   byLength short->long; byPrefix largest group first
+ */
+function summarizeMissed(missed, options) {
+	const minPrefixWords = (options && options.minPrefixWords) || 2;
+	const lengths = new Map();
+	const prefixes = new Map();
+	for (const word of missed) {
+		const length = letterCount(word);
+		if (!lengths.has(length)) lengths.set(length, []);
+		lengths.get(length).push(word);
+		const prefix = Array.from(word).slice(0, 2).join("");
+		if (!prefixes.has(prefix)) prefixes.set(prefix, []);
+		prefixes.get(prefix).push(word);
+	}
+	return {
+		byLength: Array.from(lengths, ([length, words]) => ({ length, words }))
+			.sort((a, b) => a.length - b.length),
+		byPrefix: Array.from(prefixes, ([prefix, words]) => ({ prefix, words }))
+			.filter((group) => group.words.length >= minPrefixWords)
+			.sort((a, b) => b.words.length - a.words.length || a.prefix.localeCompare(b.prefix)),
+	};
+}
+
+module.exports = {
+	HINT_COSTS,
+	createHinter,
+	summarizeMissed,
+};
@@ -0,0 +1,146 @@
+"use strict";
+
+// Game history: every played round is appended as one JSON line to history.jsonl in the user's
+// data directory, and `example_boggle_pl.js stats` summarizes it.
+// - Data directory: $BOGGLE_PL_DATA_DIR, else $XDG_DATA_HOME/boggle_pl (~/.local/share/boggle_pl),
+//   %APPDATA%\boggle_pl on Windows, ~/Library/Application Support/boggle_pl on macOS.
+// - Lines that fail to parse (e.g. a write cut short) are skipped, so one bad line never loses the rest.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const HISTORY_VERSION = 1;
+const HISTORY_FILE = "history.jsonl";
+
+/**
+ * Directory for files that outlive a single run (history).
+ * @returns {string}
+ */
+function getDataDir() {
+	if (process.env.BOGGLE_PL_DATA_DIR) return process.env.BOGGLE_PL_DATA_DIR;
+	if (process.platform === "win32" && process.env.APPDATA) {
+		return path.join(process.env.APPDATA, "boggle_pl");
+	}
+	if (process.platform === "darwin") {
+		return path.join(os.homedir(), "Library", "Application Support", "boggle_pl");
+	}
+	const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+	return path.join(base, "boggle_pl");
+}
+
+function getHistoryPath() {
+	return path.join(getDataDir(), HISTORY_FILE);
+}
+
+/**
+ * Append one game to the history file, creating its directory if needed.
+ * @param {object} game record built by the caller (board, seed, words, score, ...)
+ * @param {string} [historyPath] defaults to getHistoryPath()
+ * @returns {string} the file written
+ */
+function appendGame(game, historyPath) {
+	const file = historyPath || getHistoryPath();
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const record = Object.assign({ version: HISTORY_VERSION, date: new Date().toISOString() }, game);
+	fs.appendFileSync(file, JSON.stringify(record) + "\n", "utf8");
+	return file;
+}
+
+/**
+ * Read every game from the history file, oldest first.
+ * @param {string} [historyPath] defaults to getHistoryPath()
+ * @returns {object[]} empty if the file does not exist yet
+ */
+function readHistory(historyPath) {
+	const file = historyPath || getHistoryPath();
+	let content;
+	try {
+		content = fs.readFileSync(file, "utf8");
+	} catch (err) {
+		if (err.code === "ENOENT") return [];
+		throw err;
+	}
+	const games = [];
+	for (const line of content.split("\n")) {
+		if (!line.trim()) continue;
+		try {
+			games.push(JSON.parse(line));
+		} catch (_err) {
+			// Skip partial lines
+		}
+	}
+	return games;
+}
+
+/**
+ * Summarize games: totals, found/available ratio per day and most missed words.
+ * @param {object[]} games records from readHistory
+ * @param {{ topMissed?: number }} options topMissed: how many missed words to list (default 10)
+ * @returns {{ games: number, averageScore: number, bestScore: number, bestDate: string|null,
+ *   longestWord: string|null, found: number, available: number,
+ *   days: {date: string, games: number, found: number, available: number}[],
+ *   mostMissed: {word: string, count: number}[] }}
+ */
+function computeStats(games, options) {
+	const topMissed = (options && options.topMissed) || 10;
+	const stats = {
+		games: games.length,
+		averageScore: 0,
+		bestScore: 0,
+		bestDate: null,
+		longestWord: null,
+		found: 0,
+		available: 0,
+		days: [],
+		mostMissed: [],
+	};
+	const days = new Map();
+	const missed = new Map();
+	let totalScore = 0;
+
+	for (const game of games) {
+		const score = game.score || 0;
+		totalScore += score;
+		if (stats.bestDate === null || score > stats.bestScore) {
+			stats.bestScore = score;
+			stats.bestDate = game.date || null;
+		}
+		const accepted = game.accepted || [];
+		for (const word of accepted) {
+			if (stats.longestWord === null || Array.from(word).length > Array.from(stats.longestWord).length) {
+				stats.longestWord = word;
+			}
+		}
+		const available = game.available || 0;
+		stats.found += accepted.length;
+		stats.available += available;
+
+		const date = String(game.date || "").slice(0, 10) || "unknown";
+		const day = days.get(date) || { date, games: 0, found: 0, available: 0 };
+		day.games += 1;
+		day.found += accepted.length;
+		day.available += available;
+		days.set(date, day);
+
+		for (const word of game.missed || []) {
+			missed.set(word, (missed.get(word) || 0) + 1);
+		}
+	}
+
+	if (games.length > 0) stats.averageScore = totalScore / games.length;
+	stats.days = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+	stats.mostMissed = Array.from(missed, ([word, count]) => ({ word, count }))
+		.sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+		.slice(0, topMissed);
+	return stats;
+}
+
+module.exports = {
+	HISTORY_VERSION,
+	getDataDir,
+	getHistoryPath,
+	appendGame,
+	readHistory,
+	computeStats,
+};
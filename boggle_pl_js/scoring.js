@@ -0,0 +1,156 @@
+"use strict";
+
+// Player word validation and Boggle scoring.
+// - Each word must be long enough, traceable on the board, and in the dictionary trie.
+// - Words found by more than one player are cancelled, as in the real game.
+// - Points come from a length-based table; longer words use the last entry.
+// - Node: require("./scoring"). Browser: <script src="boggle_pl_js/scoring.js"> after boggle_pl.js
+//   exposes window.BoggleScoring.
+
+(function (root, factory) {
+	if (typeof module === "object" && module.exports) {
+		module.exports = factory(require("./boggle_pl"));
+	} else {
+		root.BoggleScoring = factory(root.BogglePl);
+	}
+})(typeof self !== "undefined" ? self : this, function (boggle) {
+	const { findWordPath, trieHasWord } = boggle;
+
+	/**
+	 * Classic 4x4 Boggle: 3-4 letters 1 point, 5: 2, 6: 3, 7: 5, 8+: 11.
+	 */
+	const CLASSIC_SCORING = {
+		minLength: 3,
+		points: { 3: 1, 4: 1, 5: 2, 6: 3, 7: 5, 8: 11 },
+	};
+
+	/**
+	 * Big Boggle (5x5 and larger): words need at least 4 letters.
+	 */
+	const BIG_SCORING = {
+		minLength: 4,
+		points: { 4: 1, 5: 2, 6: 3, 7: 5, 8: 11 },
+	};
+
+	/**
+	 * Word statuses reported in the breakdown.
+	 */
+	const WORD_STATUS = {
+		ACCEPTED: "accepted",
+		DUPLICATE: "duplicate",
+		TOO_SHORT: "too_short",
+		NOT_ON_BOARD: "not_on_board",
+		NOT_A_WORD: "not_a_word",
+		CANCELLED: "cancelled",
+	};
+
+	/**
+	 * Pick the scoring rules for a board size.
+	 * @param {{rows: number, cols: number}} size
+	 * @returns {{minLength: number, points: Object<number, number>}}
+	 */
+	function getScoringForBoardSize(size) {
+		return size.rows * size.cols <= 16 ? CLASSIC_SCORING : BIG_SCORING;
+	}
+
+	/**
+	 * Length of a word in letters (code points, so "DŻ" counts as two).
+	 */
+	function letterCount(word) {
+		return Array.from(word).length;
+	}
+
+	/**
+	 * Points for a word under the given rules, 0 if it is too short.
+	 * @param {string} word
+	 * @param {{minLength: number, points: Object<number, number>}} scoring
+	 * @returns {number}
+	 */
+	function pointsForWord(word, scoring) {
+		const length = letterCount(word);
+		if (length < scoring.minLength) return 0;
+		const lengths = Object.keys(scoring.points).map(Number).sort((a, b) => a - b);
+		let points = 0;
+		for (const l of lengths) {
+			if (length >= l) points = scoring.points[l];
+		}
+		return points;
+	}
+
+	/**
+	 * Check a single word against the board and dictionary, ignoring other players.
+	 * @param {string[][]} board
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {string} word uppercase, trimmed
+	 * @param {{minLength: number}} scoring
+	 * @param {object} [rules] board rules of the variant being played, see compileRules in boggle_pl.js
+	 * @returns {{status: string, path: number[][]|null}}
+	 */
+	function checkWord(board, trieRoot, word, scoring, rules) {
+		if (letterCount(word) < scoring.minLength) return { status: WORD_STATUS.TOO_SHORT, path: null };
+		const path = findWordPath(board, word, rules);
+		if (!path) return { status: WORD_STATUS.NOT_ON_BOARD, path: null };
+		if (!trieHasWord(trieRoot, word)) return { status: WORD_STATUS.NOT_A_WORD, path };
+		return { status: WORD_STATUS.ACCEPTED, path };
+	}
+
+	/**
+	 * Validate and score every player's words.
+	 * @param {string[][]} board
+	 * @param {object} trieRoot root of trie built via buildTrie, or a Dawg
+	 * @param {Object<string, string[]>} playerWords player name -> words they wrote down
+	 * @param {{ scoring?: {minLength: number, points: Object<number, number>}, rules?: object, cancelShared?: boolean }} options
+	 *   scoring defaults to the rules for the board size; rules: board rules, see compileRules in boggle_pl.js;
+	 *   cancelShared defaults to true
+	 * @returns {Object<string, {score: number, words: {word: string, status: string, points: number, path: number[][]|null}[]}>}
+	 */
+	function scoreGame(board, trieRoot, playerWords, options) {
+		const opts = options || {};
+		const scoring = opts.scoring || getScoringForBoardSize({ rows: board.length, cols: board[0].length });
+		const cancelShared = opts.cancelShared !== false;
+
+		const results = {};
+		const finders = new Map(); // valid word -> number of players who found it
+		for (const player of Object.keys(playerWords)) {
+			const seen = new Set();
+			const entries = [];
+			for (const raw of playerWords[player] || []) {
+				const word = String(raw).trim().toUpperCase();
+				if (word.length === 0) continue;
+				if (seen.has(word)) {
+					entries.push({ word, status: WORD_STATUS.DUPLICATE, points: 0, path: null });
+					continue;
+				}
+				seen.add(word);
+				const { status, path } = checkWord(board, trieRoot, word, scoring, opts.rules);
+				if (status === WORD_STATUS.ACCEPTED) finders.set(word, (finders.get(word) || 0) + 1);
+				entries.push({ word, status, points: 0, path });
+			}
+			results[player] = { score: 0, words: entries };
+		}
+
+		for (const player of Object.keys(results)) {
+			const result = results[player];
+			for (const entry of result.words) {
+				if (entry.status !== WORD_STATUS.ACCEPTED) continue;
+				if (cancelShared && finders.get(entry.word) > 1) {
+					entry.status = WORD_STATUS.CANCELLED;
+					continue;
+				}
+				entry.points = pointsForWord(entry.word, scoring);
+				result.score += entry.points;
+			}
+		}
+		return results;
+	}
+
+	return {
+		CLASSIC_SCORING,
+		BIG_SCORING,
+		WORD_STATUS,
+		getScoringForBoardSize,
+		pointsForWord,
+		checkWord,
+		scoreGame,
+	};
+});
@@ -0,0 +1,316 @@
+"use strict";
+
+// Local HTTP solver for the web boards (index.html).
+// - Serves GET /solver/{language}/{grid}, where grid is the space-separated row string built by board()
+//   or a board code (see formatBoardCode in boggle_pl.js).
+// - Language keys like "pol55" or "eng66" pick a dictionary by their letter prefix ("pol", "eng");
+//   board and words are normalized by that dictionary's rules (see dictionaries.js).
+// - Responds with an HTML fragment for the #words panel, or JSON when the client asks for it.
+// - ?paths=first|all adds the [row, col] cells of each word to the JSON response.
+// - ?variant=NAME (with optional required=row:col|letter and blocked=row:col,...) solves under
+//   a rule variant from variants.js, using its minimum word length.
+
+const http = require("http");
+const path = require("path");
+
+const {
+	parseBoardCode,
+	isBoardCode,
+	findWords,
+	findWordsWithPaths,
+	sortWords,
+} = require("./boggle_pl");
+const { DICTIONARIES, languageFromKey, resolveDictionary, normalizeBoard } = require("./dictionaries");
+const { loadOrBuildTrie } = require("./dictionary_loader");
+const { parseCellList, parseRequired, resolveVariant } = require("./variants");
+
+const DEFAULT_PORT = 8080;
+
+class HttpError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+/**
+ * Parse the gridstring sent by index.html ("ABCD EFGH ..." with an optional trailing space),
+ * where each row character is one face, or a board code.
+ * @param {string} gridString
+ * @returns {string[][]} board matrix
+ */
+function parseGridString(gridString) {
+	if (isBoardCode(gridString)) {
+		try {
+			return parseBoardCode(gridString).board;
+		} catch (err) {
+			throw new HttpError(400, err.message);
+		}
+	}
+	const rows = String(gridString).trim().split(/\s+/).filter(Boolean);
+	if (rows.length === 0) {
+		throw new HttpError(400, "grid is empty");
+	}
+	const board = rows.map((row) => Array.from(row.toUpperCase()));
+	const cols = board[0].length;
+	if (board.some((row) => row.length !== cols)) {
+		throw new HttpError(400, "grid rows must all have the same length");
+	}
+	if (board.some((row) => row.some((face) => !/^\p{L}$/u.test(face)))) {
+		throw new HttpError(400, "grid may only contain letters");
+	}
+	return board;
+}
+
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+function renderWordsHtml(words) {
+	const items = words.map((word) => `<li>${escapeHtml(word)}</li>`).join("");
+	return `<p>${words.length} words</p><ol>${items}</ol>`;
+}
+
+/**
+ * Variant requested by the query string, or null for plain solving.
+ * @throws {HttpError} 400 on an unknown variant or malformed cells
+ */
+function variantFromQuery(searchParams, board, normalize) {
+	const id = searchParams.get("variant");
+	const required = searchParams.get("required");
+	const blocked = searchParams.get("blocked");
+	if (id === null && required === null && blocked === null) return null;
+	const size = { rows: board.length, cols: board[0].length };
+	try {
+		return resolveVariant(id, size, {
+			...(required !== null ? parseRequired(normalize(required), size) : {}),
+			blockedCells: blocked !== null ? parseCellList(blocked, size) : undefined,
+		});
+	} catch (err) {
+		throw new HttpError(400, err.message);
+	}
+}
+
+function wantsJson(req) {
+	const accept = req.headers.accept || "";
+	return accept.includes("application/json");
+}
+
+/**
+ * Create the solver request handler.
+ * @param {{ dictionaries?: Object<string, string>, minLength?: number, verbose?: boolean }} options
+ *   dictionaries: language code -> file, replacing the registry's file for that language
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+function createSolverHandler(options) {
+	const opts = options || {};
+	const dictionaries = {};
+	for (const code of Object.keys(DICTIONARIES)) {
+		const file = opts.dictionaries && opts.dictionaries[code];
+		dictionaries[code] = resolveDictionary(code, { file });
+	}
+	const minLength = opts.minLength || 3;
+	const verbose = Boolean(opts.verbose);
+	const tries = new Map(); // language -> Promise of its trie, shared by requests that arrive while it loads
+
+	function getTrie(prefix) {
+		if (!tries.has(prefix)) {
+			const dictionary = dictionaries[prefix];
+			const loading = loadOrBuildTrie(dictionary.path, verbose, dictionary).then((trie) => {
+				if (!trie) {
+					tries.delete(prefix);
+					throw new HttpError(503, `dictionary for "${prefix}" is not available: ${dictionary.path}`);
+				}
+				return trie;
+			});
+			tries.set(prefix, loading);
+		}
+		return tries.get(prefix);
+	}
+
+	function send(req, res, status, payload) {
+		const json = wantsJson(req);
+		let body;
+		if (json) {
+			body = JSON.stringify(payload);
+		} else if (payload.error) {
+			body = `<p class="error">${escapeHtml(payload.error)}</p>`;
+		} else {
+			body = renderWordsHtml(payload.words);
+		}
+		res.writeHead(status, {
+			"Content-Type": json ? "application/json; charset=utf-8" : "text/html; charset=utf-8",
+			"Access-Control-Allow-Origin": "*",
+			"Vary": "Accept",
+		});
+		res.end(req.method === "HEAD" ? undefined : body);
+	}
+
+	return async function handle(req, res) {
+		try {
+			if (req.method === "OPTIONS") {
+				res.writeHead(204, {
+					"Access-Control-Allow-Origin": "*",
+					"Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+					"Access-Control-Allow-Headers": "Accept",
+				});
+				res.end();
+				return;
+			}
+			if (req.method !== "GET" && req.method !== "HEAD") {
+				throw new HttpError(405, `method ${req.method} not allowed`);
+			}
+
+			const url = new URL(req.url, "http://localhost");
+			const parts = url.pathname.split("/").filter(Boolean);
+			if (parts[0] !== "solver" || parts.length > 3) {
+				throw new HttpError(404, `no route for ${url.pathname}`);
+			}
+			if (parts.length === 1) {
+				// Availability probe used by index.html
+				send(req, res, 200, { languages: Object.keys(dictionaries), words: [] });
+				return;
+			}
+
+			let languageKey;
+			try {
+				languageKey = decodeURIComponent(parts[1]);
+			} catch (_err) {
+				throw new HttpError(400, "language is not valid URL encoding");
+			}
+			const prefix = languageFromKey(languageKey);
+			if (!prefix || !Object.prototype.hasOwnProperty.call(dictionaries, prefix)) {
+				throw new HttpError(404, `unknown language: ${languageKey}`);
+			}
+			if (parts.length < 3) {
+				throw new HttpError(400, "missing grid");
+			}
+			let gridString;
+			try {
+				gridString = decodeURIComponent(parts[2]);
+			} catch (_err) {
+				throw new HttpError(400, "grid is not valid URL encoding");
+			}
+			const board = normalizeBoard(parseGridString(gridString), dictionaries[prefix].normalize);
+			const pathsMode = url.searchParams.get("paths");
+			if (pathsMode && pathsMode !== "first" && pathsMode !== "all") {
+				throw new HttpError(400, `paths must be "first" or "all", got "${pathsMode}"`);
+			}
+			const variant = variantFromQuery(url.searchParams, board, dictionaries[prefix].normalize);
+			const solveOptions = variant
+				? { minLength: variant.scoring.minLength, rules: variant.rules }
+				: { minLength };
+			const trie = await getTrie(prefix);
+			const payload = { language: languageKey, board };
+			if (variant) {
+				payload.variant = { id: variant.id, rules: variant.rules, scoring: variant.scoring };
+			}
+			if (pathsMode) {
+				const found = findWordsWithPaths(board, trie, { ...solveOptions, allPaths: pathsMode === "all" });
+				payload.words = sortWords(found.keys());
+				payload.paths = Object.fromEntries(payload.words.map((word) => [word, found.get(word)]));
+			} else {
+				payload.words = sortWords(findWords(board, trie, solveOptions));
+			}
+			if (verbose) console.log(`${languageKey} ${gridString.trim()}: ${payload.words.length} words`);
+			send(req, res, 200, payload);
+		} catch (err) {
+			const status = err instanceof HttpError ? err.status : 500;
+			if (verbose || status === 500) console.error(`Error: ${err.message}`);
+			send(req, res, status, { error: err.message });
+		}
+	};
+}
+
+/**
+ * Start the solver server.
+ * @param {{ port?: number, dictionaries?: Object<string, string>, minLength?: number, verbose?: boolean }} options
+ * @returns {http.Server}
+ */
+function startSolverServer(options) {
+	const opts = options || {};
+	const port = opts.port || DEFAULT_PORT;
+	const server = http.createServer(createSolverHandler(opts));
+	server.listen(port, () => {
+		console.log(`Solver listening on http://localhost:${port}/solver`);
+	});
+	return server;
+}
+
+function showHelp() {
+	console.log(`
+Boggle Solver Server
+
+USAGE:
+  node solver_server.js [OPTIONS] [LANG=DICTIONARY_FILE ...]
+
+OPTIONS:
+  -h, --help          Show this help message
+  -v, --verbose       Log requests and cache operations
+  -p PORT             Port to listen on (default: ${DEFAULT_PORT})
+
+ROUTES:
+  GET /solver                      Availability probe
+  GET /solver/{language}/{grid}    Words on the board, e.g. /solver/pol55/ABCDE%20FGHIJ...
+                                   or with a board code: /solver/pol/2x2~K-O-CZ-A
+                                   HTML by default, JSON with "Accept: application/json"
+                                   ?paths=first|all adds word paths to JSON
+                                   ?variant=torus solves under a rule variant
+                                   (classic, torus, orthogonal, reuse, required,
+                                   blocked); &required=2:2 or &required=Ż and
+                                   &blocked=1:1,4:4 set its cells (from 1)
+
+DICTIONARIES:
+${Object.keys(DICTIONARIES).map((lang) => `  ${lang}  ${DICTIONARIES[lang].file}`).join("\n")}
+
+EXAMPLES:
+  node solver_server.js                         # Serve on port ${DEFAULT_PORT}
+  node solver_server.js -p 9000 eng=words.txt   # Custom port and English dictionary
+`);
+	process.exit(0);
+}
+
+function main() {
+	const args = process.argv.slice(2);
+	if (args.includes("-h") || args.includes("--help")) {
+		showHelp();
+	}
+
+	const options = { port: DEFAULT_PORT, dictionaries: {}, verbose: false };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === "-v" || arg === "--verbose") {
+			options.verbose = true;
+		} else if (arg === "-p") {
+			options.port = Number(args[++i]);
+			if (!Number.isInteger(options.port) || options.port < 1) {
+				console.error("Error: Port must be a positive integer");
+				process.exit(1);
+			}
+		} else if (/^[a-z]+=.+/.test(arg)) {
+			const eq = arg.indexOf("=");
+			const lang = arg.slice(0, eq);
+			if (!DICTIONARIES[lang]) {
+				console.error(`Error: Unknown language: ${lang} (known: ${Object.keys(DICTIONARIES).join(", ")})`);
+				process.exit(1);
+			}
+			options.dictionaries[lang] = path.resolve(arg.slice(eq + 1));
+		} else {
+			console.error(`Error: Unknown argument: ${arg}`);
+			console.error("Use -h or --help for usage information");
+			process.exit(1);
+		}
+	}
+
+	startSolverServer(options);
+}
+
+module.exports = {
+	parseGridString,
+	createSolverHandler,
+	startSolverServer,
+};
+
+if (require.main === module) {
+	main();
+}
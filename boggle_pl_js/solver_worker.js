@@ -0,0 +1,97 @@
+"use strict";
+
+// Web Worker behind new3.html: loads a language's dictionary and solves each dealt board off the
+// main thread, so dealing and tracing stay smooth on 6x6 and 7x7 boards.
+// - Dictionary: web_dictionaries/<code>.dawg (see build_web_dictionaries.js), else the word list
+//   from dictionaries.js, normalized and built into a DAWG here.
+// - In:  { type: "load", language }
+//        { type: "solve", id, language, board }   board: matrix of faces as dealt
+// - Out: { type: "loaded", language, wordCount, source }   source: "compact" or "word list"
+//        { type: "solved", id, words: [{ word, path, points }], stats }
+//        { type: "error", id?, language, message }
+// Words are normalized (dictionaries.js) and sorted with sortWords; a path lists cell indexes row by row.
+
+importScripts("dice_sets.js", "dawg.js", "dictionaries.js", "boggle_pl.js", "scoring.js");
+
+// Per language code: Promise<{ dawg, normalize, source }>
+const dictionaries = new Map();
+
+function fetchOk(url) {
+	return fetch(url).then((response) => {
+		if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+		return response;
+	});
+}
+
+function loadDictionary(language) {
+	if (!dictionaries.has(language)) {
+		const entry = BoggleDictionaries.DICTIONARIES[language];
+		const normalize = entry && BoggleDictionaries.createNormalizer(entry);
+		const loading = !entry ? Promise.reject(new Error(`unknown language: ${language}`)) : fetchOk(`web_dictionaries/${language}.dawg`)
+			.then((response) => response.arrayBuffer())
+			.then((bytes) => ({ dawg: BoggleDawg.Dawg.fromBuffer(new Uint8Array(bytes)), normalize, source: "compact" }))
+			.catch(() => fetchOk(entry.file)
+				.then((response) => response.text())
+				.then((text) => {
+					// Same entries as word_lists.js reads in Node, without its optional word filters
+					const words = text.split("\n").flatMap(BoggleDictionaries.wordListEntries).map(normalize).filter(Boolean);
+					return { dawg: BoggleDawg.buildDawg(words), normalize, source: "word list" };
+				}));
+		// A failed load may succeed later (e.g. back online), so it is not kept
+		loading.catch(() => dictionaries.delete(language));
+		dictionaries.set(language, loading);
+	}
+	return dictionaries.get(language);
+}
+
+/**
+ * Every word on the board with its first path and points, plus board statistics.
+ */
+function solve(board, dictionary) {
+	const normalized = BoggleDictionaries.normalizeBoard(board, dictionary.normalize);
+	const cols = board[0].length;
+	const scoring = BoggleScoring.getScoringForBoardSize({ rows: board.length, cols });
+	const found = BogglePl.findWordsWithPaths(normalized, dictionary.dawg, { minLength: scoring.minLength });
+	const words = BogglePl.sortWords(found.keys()).map((word) => ({
+		word,
+		path: found.get(word)[0].map(([r, c]) => r * cols + c),
+		points: BoggleScoring.pointsForWord(word, scoring),
+	}));
+
+	const byLength = new Map();
+	let totalPoints = 0;
+	for (const { word, points } of words) {
+		const length = Array.from(word).length;
+		const group = byLength.get(length) || { length, count: 0, points: 0 };
+		group.count += 1;
+		group.points += points;
+		byLength.set(length, group);
+		totalPoints += points;
+	}
+	const longest = words.length ? Array.from(words[words.length - 1].word).length : 0;
+	return {
+		words,
+		stats: {
+			wordCount: words.length,
+			totalPoints,
+			minLength: scoring.minLength,
+			longestWords: words.filter(({ word }) => Array.from(word).length === longest).map(({ word }) => word),
+			byLength: Array.from(byLength.values()),
+		},
+	};
+}
+
+self.onmessage = (event) => {
+	const message = event.data;
+	loadDictionary(message.language)
+		.then((dictionary) => {
+			if (message.type === "load") {
+				self.postMessage({ type: "loaded", language: message.language, wordCount: dictionary.dawg.wordCount, source: dictionary.source });
+			} else if (message.type === "solve") {
+				self.postMessage(Object.assign({ type: "solved", id: message.id }, solve(message.board, dictionary)));
+			}
+		})
+		.catch((err) => {
+			self.postMessage({ type: "error", id: message.id, language: message.language, message: err.message });
+		});
+};
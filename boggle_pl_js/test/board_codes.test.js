@@ -0,0 +1,56 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { formatBoardCode, parseBoardCode, isBoardCode, generateBoard, getDiceForBoardSize } = require("../boggle_pl");
+
+const BOARD = [
+	["K", "O"],
+	["CZ", "A"],
+];
+
+test("formatBoardCode lists faces row by row, then the language and seed", () => {
+	assert.equal(formatBoardCode(BOARD), "2x2~K-O-CZ-A");
+	assert.equal(formatBoardCode(BOARD, { language: "pol", seed: "abc123" }), "2x2~K-O-CZ-A~lang.pol~seed.abc123");
+	assert.equal(formatBoardCode([["qu", "ż", "dź"]], { seed: 0 }), "1x3~QU-Ż-DŹ~seed.0");
+});
+
+test("board codes round-trip multi-letter faces, language and seed", () => {
+	const parsed = parseBoardCode(formatBoardCode(BOARD, { language: "pol", seed: "abc123" }));
+	assert.deepEqual(parsed, { board: BOARD, size: { rows: 2, cols: 2 }, language: "pol", seed: "abc123" });
+	assert.deepEqual(parseBoardCode("2x2~K-O-CZ-A"), { board: BOARD, size: { rows: 2, cols: 2 }, language: null, seed: null });
+});
+
+test("separators in the seed are escaped", () => {
+	const code = formatBoardCode(BOARD, { seed: "game~1-2 ż" });
+	assert.equal(code.split("~").length, 3);
+	assert.equal(code.split("~")[1], "K-O-CZ-A");
+	assert.equal(parseBoardCode(code).seed, "game~1-2 ż");
+});
+
+test("parseBoardCode upper-cases faces and accepts surrounding spaces", () => {
+	assert.deepEqual(parseBoardCode(" 1x2~cz-ą \n").board, [["CZ", "Ą"]]);
+});
+
+test("a dealt 6x6 board round-trips", () => {
+	const board = generateBoard(getDiceForBoardSize(36), { rows: 6, cols: 6 }, { seed: "round-trip" });
+	assert.deepEqual(parseBoardCode(formatBoardCode(board)).board, board.map((row) => row.map((face) => face.toUpperCase())));
+});
+
+test("invalid board codes are rejected", () => {
+	assert.throws(() => parseBoardCode("KOTA"), /invalid board code/);
+	assert.throws(() => parseBoardCode("2x2~K-O-T"), /has 3 faces, expected 4/);
+	assert.throws(() => parseBoardCode("0x0~"), /invalid board code/);
+	assert.throws(() => parseBoardCode("1x1~1"), /one or more letters/);
+	assert.throws(() => parseBoardCode("1x1~K~size.4"), /unknown board code field/);
+	assert.throws(() => parseBoardCode("1x1~K~seed.%E0"), /invalid escape/);
+	assert.throws(() => formatBoardCode([["K", "O"], ["T"]]), /same length/);
+	assert.throws(() => formatBoardCode([["K", "-"]]), /one or more letters/);
+});
+
+test("isBoardCode tells board codes from gridstrings", () => {
+	assert.equal(isBoardCode("4x4~A-B-C-D-E-F-G-H-I-J-K-L-M-N-O-P"), true);
+	assert.equal(isBoardCode("ABCDEFGHIJKLMNOP"), false);
+	assert.equal(isBoardCode("4x4"), false);
+});
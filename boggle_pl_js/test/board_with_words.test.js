@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { generateBoardWithWords, getDiceForBoardSize, findWordPath, isValidPath } = require("../boggle_pl");
+
+const SIZE = { rows: 4, cols: 4 };
+const DICE = getDiceForBoardSize(16);
+
+function assertTraceable(board, words, rules) {
+	for (const word of words) {
+		const path = findWordPath(board, word, rules);
+		assert.ok(path && isValidPath(board, word, path, rules), `${word} on ${JSON.stringify(board)}`);
+	}
+}
+
+test("every target word can be traced on the dealt board", () => {
+	for (const seed of ["a", "b", "c"]) {
+		const words = ["KOT", "NOS", "PIES"];
+		assertTraceable(generateBoardWithWords(DICE, SIZE, words, { seed }), words);
+	}
+});
+
+test("the same seed deals the same board", () => {
+	const deal = () => generateBoardWithWords(DICE, SIZE, ["KOT"], { seed: 42 });
+	assert.deepEqual(deal(), deal());
+});
+
+test("placed words use the required cell, so they score under the required variant", () => {
+	// Both words share the O on the required cell, which needs 4 free neighbours (a corner has 3)
+	for (const requiredCell of [[1, 1], [2, 2], [0, 2]]) {
+		const rules = { requiredCell };
+		const words = ["KOT", "NOS"];
+		for (const seed of [1, 2, 3]) {
+			assertTraceable(generateBoardWithWords(DICE, SIZE, words, { seed, rules }), words, rules);
+		}
+	}
+});
+
+test("placed words use the required letter", () => {
+	const rules = { requiredLetter: "O" };
+	const words = ["KOT", "NOS", "OKO"];
+	assertTraceable(generateBoardWithWords(DICE, SIZE, words, { seed: 7, rules }), words, rules);
+	assert.throws(() => generateBoardWithWords(DICE, SIZE, ["KOT", "PIES"], { rules }), /PIES does not use the required letter O/);
+});
+
+test("placed words avoid blocked cells", () => {
+	const rules = { blockedCells: [[0, 0], [0, 3], [3, 0], [3, 3]] };
+	const words = ["KOTA", "NOS"];
+	const board = generateBoardWithWords(DICE, SIZE, words, { seed: 5, rules });
+	assertTraceable(board, words, rules);
+});
+
+test("words the dice cannot spell are rejected", () => {
+	assert.throws(() => generateBoardWithWords(DICE, SIZE, []), /at least one word/);
+	assert.throws(() => generateBoardWithWords(DICE, SIZE, ["KOT1"]), /no faces spell it/);
+	assert.throws(() => generateBoardWithWords(DICE, SIZE, ["A".repeat(17)]), /needs 17 cells, the board has 16/);
+});
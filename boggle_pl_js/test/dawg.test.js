@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	DAWG_VERSION,
+	Dawg,
+	buildDawg,
+	dawgWords,
+	mergeDawgs,
+	createStreamingDawgBuilder,
+	readDawgHeader,
+} = require("../dawg");
+const { trieHasWord } = require("../boggle_pl");
+
+const WORDS = ["KOT", "KOTA", "KOTEM", "KOŃ", "NOS", "NOSA", "PIES", "ŻABA", "A"];
+
+function sorted(words) {
+	return Array.from(new Set(words)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+test("buildDawg holds exactly the given words, upper-cased and trimmed", () => {
+	const dawg = buildDawg([" kot", "KOT", "", null, ...WORDS]);
+	assert.deepEqual(Array.from(dawgWords(dawg)), sorted(WORDS));
+	assert.equal(dawg.wordCount, WORDS.length);
+	assert.equal(trieHasWord(dawg, "KOTEM"), true);
+	assert.equal(trieHasWord(dawg, "KOTE"), false);
+	assert.equal(trieHasWord(dawg, "PSY"), false);
+});
+
+test("shared suffixes are stored once", () => {
+	const dawg = buildDawg(["KOTA", "NOTA", "LOTA", "ROTA"]);
+	// The root, one node all first letters lead to, then O, T and A (a trie would need 17 nodes)
+	assert.equal(dawg.nodeCount, 5);
+});
+
+test("toBuffer and fromBuffer round-trip the DAWG", () => {
+	const dawg = buildDawg(WORDS);
+	const bytes = dawg.toBuffer();
+	assert.deepEqual(readDawgHeader(bytes), {
+		version: DAWG_VERSION,
+		nodeCount: dawg.nodeCount,
+		edgeCount: dawg.edgeCount,
+		wordCount: dawg.wordCount,
+	});
+	for (const options of [{}, { shared: true }]) {
+		const loaded = Dawg.fromBuffer(bytes, options);
+		assert.deepEqual(Array.from(dawgWords(loaded)), sorted(WORDS));
+		assert.deepEqual(loaded.nodeIsWord, dawg.nodeIsWord);
+		assert.deepEqual(loaded.edgeChar, dawg.edgeChar);
+	}
+	assert.ok(Dawg.fromBuffer(bytes, { shared: true }).nodeEdgeStart.buffer instanceof SharedArrayBuffer);
+});
+
+test("fromBuffer reads a DAWG at an unaligned offset", () => {
+	const bytes = buildDawg(WORDS).toBuffer();
+	const padded = Buffer.concat([Buffer.from([1, 2, 3]), bytes]);
+	assert.deepEqual(Array.from(dawgWords(Dawg.fromBuffer(padded.subarray(3)))), sorted(WORDS));
+});
+
+test("fromBuffer rejects foreign, newer and truncated data", () => {
+	const bytes = buildDawg(WORDS).toBuffer();
+	assert.equal(readDawgHeader(Buffer.from("not a dawg at all, just some text")), null);
+	assert.throws(() => Dawg.fromBuffer(Buffer.alloc(64)), /not a DAWG file/);
+
+	const newer = Buffer.from(bytes);
+	newer.writeUInt32LE(DAWG_VERSION + 1, 8);
+	assert.throws(() => Dawg.fromBuffer(newer), /unsupported DAWG version/);
+
+	assert.throws(() => Dawg.fromBuffer(bytes.subarray(0, bytes.length - 8)), /truncated/);
+});
+
+test("an empty DAWG round-trips", () => {
+	const empty = buildDawg([]);
+	assert.equal(empty.wordCount, 0);
+	assert.deepEqual(Array.from(dawgWords(Dawg.fromBuffer(empty.toBuffer()))), []);
+});
+
+test("mergeDawgs and the streaming builder match buildDawg", () => {
+	const merged = mergeDawgs([buildDawg(WORDS.slice(0, 4)), buildDawg(WORDS.slice(3))]);
+	assert.deepEqual(Array.from(dawgWords(merged)), sorted(WORDS));
+
+	// Unsorted input over several chunks, with a duplicate across chunks
+	const builder = createStreamingDawgBuilder({ chunkSize: 2 });
+	for (const word of WORDS.slice().reverse().concat(["KOT"])) builder.add(word);
+	const streamed = builder.finish();
+	assert.deepEqual(Array.from(dawgWords(streamed)), sorted(WORDS));
+	assert.deepEqual(streamed.toBuffer(), buildDawg(WORDS).toBuffer());
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	DEFAULT_SETTINGS,
+	parseDuration,
+	formatDuration,
+	applySettings,
+	parseStoredSettings,
+	loadSettingsFile,
+	saveSettingsFile,
+	createRoundTimer,
+} = require("../game_settings");
+
+test("durations in seconds, minutes or minutes:seconds", () => {
+	assert.equal(parseDuration("90"), 90);
+	assert.equal(parseDuration(" 90s "), 90);
+	assert.equal(parseDuration("3M"), 180);
+	assert.equal(parseDuration("2:30"), 150);
+	assert.equal(parseDuration(45), 45);
+	for (const bad of ["", "1:60", "1.5", "-5", "3h", "2:3"]) {
+		assert.throws(() => parseDuration(bad), /invalid duration/, bad);
+	}
+	assert.equal(formatDuration(150), "2:30");
+	assert.equal(formatDuration(5), "0:05");
+});
+
+test("applySettings validates every change and leaves the input alone", () => {
+	const next = applySettings(DEFAULT_SETTINGS, { roundSeconds: 120, sound: false });
+	assert.deepEqual(next, Object.assign({}, DEFAULT_SETTINGS, { roundSeconds: 120, sound: false }));
+	assert.equal(DEFAULT_SETTINGS.roundSeconds, 180);
+
+	assert.throws(() => applySettings(DEFAULT_SETTINGS, { colour: "red" }), /unknown setting: colour/);
+	assert.throws(() => applySettings(DEFAULT_SETTINGS, { sound: "yes" }), /sound must be true or false/);
+	assert.throws(() => applySettings(DEFAULT_SETTINGS, { roundSeconds: 0 }), /from 1 to 5999/);
+	assert.throws(() => applySettings(DEFAULT_SETTINGS, { autoShakeSeconds: 601 }), /from 0 to 600/);
+	assert.throws(() => applySettings(DEFAULT_SETTINGS, { warningSeconds: 1.5 }), /whole number/);
+});
+
+test("stored settings fall back to the defaults value by value", () => {
+	assert.deepEqual(parseStoredSettings(null), DEFAULT_SETTINGS);
+	assert.deepEqual(parseStoredSettings("{not json"), DEFAULT_SETTINGS);
+	assert.deepEqual(parseStoredSettings("[1, 2]"), DEFAULT_SETTINGS);
+	assert.deepEqual(
+		parseStoredSettings(JSON.stringify({ roundSeconds: 60, warningSeconds: -1, sound: false, colour: "red" })),
+		Object.assign({}, DEFAULT_SETTINGS, { roundSeconds: 60, sound: false }));
+});
+
+test("the settings file round-trips, and a missing one gives the defaults", () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "boggle_pl-settings-test-"));
+	try {
+		const file = path.join(dir, "nested", "settings.json");
+		assert.deepEqual(loadSettingsFile(file), DEFAULT_SETTINGS);
+		const settings = applySettings(DEFAULT_SETTINGS, { autoShakeSeconds: 10 });
+		assert.equal(saveSettingsFile(settings, file), file);
+		assert.deepEqual(loadSettingsFile(file), settings);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+// Advance the mocked clock a timer tick at a time, as a running page would
+function advance(t, ms) {
+	for (let elapsed = 0; elapsed < ms; elapsed += 200) t.mock.timers.tick(200);
+}
+
+test("the round timer warns once, pauses and ends", (t) => {
+	t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+	const ticks = [];
+	const events = [];
+	const timer = createRoundTimer({
+		seconds: 5,
+		warningSeconds: 2,
+		onTick: (remaining, warning) => ticks.push([remaining, warning]),
+		onWarning: (remaining) => events.push(`warning ${remaining}`),
+		onEnd: () => events.push("end"),
+	});
+	assert.equal(timer.isRunning(), false);
+	timer.start();
+	assert.equal(timer.isRunning(), true);
+
+	advance(t, 2000);
+	assert.equal(timer.remaining(), 3);
+	assert.equal(timer.togglePause(), true);
+	assert.equal(timer.isPaused(), true);
+	advance(t, 10000);
+	assert.equal(timer.remaining(), 3);
+	assert.equal(timer.pause(), false);
+
+	assert.equal(timer.togglePause(), false);
+	advance(t, 3000);
+	assert.deepEqual(events, ["warning 2", "end"]);
+	assert.equal(timer.remaining(), 0);
+	assert.equal(timer.isRunning(), false);
+	assert.equal(timer.resume(), false);
+	assert.deepEqual(ticks.map(([remaining]) => remaining), [5, 4, 3, 3, 3, 2, 1, 0]);
+	assert.deepEqual(ticks.filter(([, warning]) => warning).map(([remaining]) => remaining), [2, 1]);
+});
+
+test("a stopped timer never ends, and a warning as long as the round is dropped", (t) => {
+	t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+	let ended = false;
+	let warned = false;
+	const timer = createRoundTimer({ seconds: 3, warningSeconds: 3, onWarning: () => { warned = true; }, onEnd: () => { ended = true; } });
+	timer.start();
+	advance(t, 1000);
+	timer.stop();
+	advance(t, 5000);
+	assert.equal(ended, false);
+	assert.equal(warned, false);
+	assert.equal(timer.isPaused(), false);
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildTrie } = require("../boggle_pl");
+const { buildDawg } = require("../dawg");
+const {
+	CLASSIC_SCORING,
+	BIG_SCORING,
+	WORD_STATUS,
+	getScoringForBoardSize,
+	pointsForWord,
+	checkWord,
+	scoreGame,
+} = require("../scoring");
+
+const BOARD = [
+	["K", "O", "T", "A"],
+	["S", "N", "E", "M"],
+	["Ż", "A", "B", "CZ"],
+	["P", "I", "E", "S"],
+];
+const WORDS = ["KOT", "KOTA", "KOTEM", "NOS", "ŻABA", "PIES", "ŻAB", "OKO"];
+
+test("boards up to 4x4 score classic, bigger boards need 4 letters", () => {
+	assert.equal(getScoringForBoardSize({ rows: 4, cols: 4 }), CLASSIC_SCORING);
+	assert.equal(getScoringForBoardSize({ rows: 3, cols: 5 }), CLASSIC_SCORING);
+	assert.equal(getScoringForBoardSize({ rows: 5, cols: 5 }), BIG_SCORING);
+	assert.equal(getScoringForBoardSize({ rows: 4, cols: 5 }), BIG_SCORING);
+});
+
+test("points follow the length table; longer words use the last entry", () => {
+	const points = (word, scoring) => pointsForWord(word, scoring);
+	assert.deepEqual(["OS", "KOT", "KOTA", "KOTEM", "KOTAMI", "ZIELONA", "ZIELONKA", "ZIELONKAMI"]
+		.map((word) => points(word, CLASSIC_SCORING)), [0, 1, 1, 2, 3, 5, 11, 11]);
+	assert.equal(points("KOT", BIG_SCORING), 0);
+	assert.equal(points("KOTA", BIG_SCORING), 1);
+	// Letters, not faces or UTF-16 code units: "ŻABA" has 4
+	assert.equal(points("ŻABA", BIG_SCORING), 1);
+});
+
+test("checkWord reports why a word does not count", () => {
+	const trie = buildTrie(WORDS);
+	assert.equal(checkWord(BOARD, trie, "OS", CLASSIC_SCORING).status, WORD_STATUS.TOO_SHORT);
+	assert.equal(checkWord(BOARD, trie, "OKO", CLASSIC_SCORING).status, WORD_STATUS.NOT_ON_BOARD);
+	assert.equal(checkWord(BOARD, trie, "TEN", CLASSIC_SCORING).status, WORD_STATUS.NOT_A_WORD);
+	const accepted = checkWord(BOARD, trie, "KOTEM", CLASSIC_SCORING);
+	assert.equal(accepted.status, WORD_STATUS.ACCEPTED);
+	assert.deepEqual(accepted.path, [[0, 0], [0, 1], [0, 2], [1, 2], [1, 3]]);
+	// Board rules of the variant apply too
+	assert.equal(checkWord(BOARD, trie, "KOTEM", CLASSIC_SCORING, { blockedCells: [[1, 2]] }).status, WORD_STATUS.NOT_ON_BOARD);
+});
+
+test("scoreGame cancels words found by more than one player", () => {
+	const results = scoreGame(BOARD, buildDawg(WORDS), {
+		ala: ["kot", "KOTEM", "kotem", "nos", "ten"],
+		ola: ["KOT", "żab", "pies", ""],
+	});
+	const statuses = (player) => results[player].words.map(({ word, status, points }) => [word, status, points]);
+	assert.deepEqual(statuses("ala"), [
+		["KOT", WORD_STATUS.CANCELLED, 0],
+		["KOTEM", WORD_STATUS.ACCEPTED, 2],
+		["KOTEM", WORD_STATUS.DUPLICATE, 0],
+		["NOS", WORD_STATUS.ACCEPTED, 1],
+		["TEN", WORD_STATUS.NOT_A_WORD, 0],
+	]);
+	assert.deepEqual(statuses("ola"), [
+		["KOT", WORD_STATUS.CANCELLED, 0],
+		["ŻAB", WORD_STATUS.ACCEPTED, 1],
+		["PIES", WORD_STATUS.ACCEPTED, 1],
+	]);
+	assert.equal(results.ala.score, 3);
+	assert.equal(results.ola.score, 2);
+
+	const solo = scoreGame(BOARD, buildDawg(WORDS), { ala: ["KOT"], ola: ["KOT"] }, { cancelShared: false });
+	assert.equal(solo.ala.score + solo.ola.score, 2);
+});
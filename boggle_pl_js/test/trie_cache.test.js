@@ -0,0 +1,137 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { buildDawg, dawgWords } = require("../dawg");
+const {
+	CACHE_VERSION,
+	getCacheEntryPath,
+	hashDictionary,
+	readCacheEntry,
+	lookupCache,
+	storeCache,
+	listCacheEntries,
+	verifyCacheEntry,
+	clearCache,
+} = require("../trie_cache");
+
+const WORDS = ["KOT", "KOTA", "NOS", "ŻABA"];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "boggle_pl-cache-test-"));
+process.env.BOGGLE_PL_CACHE_DIR = path.join(tempDir, "cache");
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let dictionaryCount = 0;
+
+// A fresh word list file per test, so entries and hashes never carry over between tests
+function writeDictionary(words = WORDS) {
+	dictionaryCount += 1;
+	const file = path.join(tempDir, `words${dictionaryCount}.txt`);
+	fs.writeFileSync(file, words.join("\n") + "\n");
+	return file;
+}
+
+// Move the file's mtime, as copying or touching it would
+function touch(file, secondsLater) {
+	const when = new Date(fs.statSync(file).mtimeMs + secondsLater * 1000);
+	fs.utimesSync(file, when, when);
+}
+
+test("a stored DAWG is found again by size and mtime", () => {
+	const dict = writeDictionary();
+	assert.equal(lookupCache(dict, "pol").status, "missing");
+
+	const file = storeCache(dict, "pol", buildDawg(WORDS));
+	assert.equal(file, getCacheEntryPath(dict, "pol"));
+	const result = lookupCache(dict, "pol");
+	assert.equal(result.status, "hit");
+	assert.equal(result.hashed, false);
+	assert.equal(result.contentHash, hashDictionary(dict, "pol"));
+	assert.deepEqual(Array.from(dawgWords(result.dawg)), WORDS.slice().sort());
+});
+
+test("each cache key gets an entry and a content hash of its own", () => {
+	const dict = writeDictionary();
+	storeCache(dict, "pol", buildDawg(WORDS));
+	assert.equal(lookupCache(dict, "eng").status, "missing");
+	assert.notEqual(getCacheEntryPath(dict, "pol"), getCacheEntryPath(dict, "eng"));
+	assert.notEqual(hashDictionary(dict, "pol"), hashDictionary(dict, "eng"));
+});
+
+test("a touched dictionary is hashed once, then matched by its new mtime", () => {
+	const dict = writeDictionary();
+	storeCache(dict, "", buildDawg(WORDS));
+	touch(dict, 60);
+
+	const first = lookupCache(dict, "");
+	assert.equal(first.status, "hit");
+	assert.equal(first.hashed, true);
+	const second = lookupCache(dict, "");
+	assert.equal(second.status, "hit");
+	assert.equal(second.hashed, false);
+});
+
+test("an edited dictionary drops its entry", () => {
+	const dict = writeDictionary();
+	storeCache(dict, "", buildDawg(WORDS));
+	fs.writeFileSync(dict, "PIES\n");
+	touch(dict, 60);
+
+	assert.equal(lookupCache(dict, "").status, "changed");
+	assert.equal(fs.existsSync(getCacheEntryPath(dict, "")), false);
+});
+
+test("damaged entries are reported and deleted", () => {
+	const dict = writeDictionary();
+	const file = storeCache(dict, "", buildDawg(WORDS));
+	const bytes = fs.readFileSync(file);
+	bytes[bytes.length - 1] ^= 0xff;
+	fs.writeFileSync(file, bytes);
+
+	assert.throws(() => readCacheEntry(file), { code: "EBADCACHE" });
+	const result = lookupCache(dict, "");
+	assert.equal(result.status, "damaged");
+	assert.match(result.detail, /checksum/);
+	assert.equal(fs.existsSync(file), false);
+
+	fs.writeFileSync(file, "not a cache entry");
+	assert.equal(lookupCache(dict, "").status, "damaged");
+});
+
+test("entries of an older cache format are reported as outdated", () => {
+	const dict = writeDictionary();
+	const file = storeCache(dict, "", buildDawg(WORDS));
+	const bytes = fs.readFileSync(file);
+	bytes.writeUInt32LE(CACHE_VERSION - 1, 8);
+	fs.writeFileSync(file, bytes);
+
+	assert.throws(() => readCacheEntry(file), { code: "EOLDCACHE" });
+	assert.equal(lookupCache(dict, "").status, "outdated");
+	assert.equal(fs.existsSync(file), false);
+});
+
+test("cache list, verify and clear", () => {
+	clearCache();
+	const kept = writeDictionary();
+	const edited = writeDictionary();
+	const removed = writeDictionary();
+	for (const dict of [kept, edited, removed]) storeCache(dict, "", buildDawg(WORDS));
+	fs.writeFileSync(edited, "PIES\n");
+	touch(edited, 60);
+	fs.unlinkSync(removed);
+
+	const entries = listCacheEntries();
+	assert.equal(entries.length, 3);
+	const statusOf = (dict) => verifyCacheEntry(entries.find((entry) => entry.meta.dictionary === dict)).status;
+	assert.equal(statusOf(kept), "ok");
+	assert.equal(statusOf(edited), "changed");
+	assert.equal(statusOf(removed), "orphaned");
+	assert.equal(entries[0].wordCount, WORDS.length);
+
+	assert.equal(clearCache(), 3);
+	assert.deepEqual(listCacheEntries(), []);
+});
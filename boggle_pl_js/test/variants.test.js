@@ -0,0 +1,121 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildTrie, compileRules, findWords, findWordPath, isValidPath, sortWords } = require("../boggle_pl");
+const { CLASSIC_SCORING, BIG_SCORING } = require("../scoring");
+const { VARIANTS, parseCell, parseCellList, parseRequired, resolveVariant } = require("../variants");
+
+const BOARD = [
+	["A", "B", "C"],
+	["D", "E", "F"],
+	["G", "H", "I"],
+];
+const SIZE = { rows: 3, cols: 3 };
+
+// Two-letter words for every pair of cells, plus the words below
+const TRIE = buildTrie([].concat(...BOARD).flatMap((a) => [].concat(...BOARD).map((b) => a + b)).concat(["ABA", "ABE", "ABC"]));
+
+function solve(rules) {
+	return sortWords(findWords(BOARD, TRIE, { minLength: 2, rules }));
+}
+
+function solves(rules, word) {
+	const path = findWordPath(BOARD, word, rules);
+	return path !== null && isValidPath(BOARD, word, path, rules);
+}
+
+test("classic rules: 8 neighbours, each cell once", () => {
+	assert.equal(solves({}, "AE"), true);
+	assert.equal(solves({}, "AC"), false);
+	assert.equal(solves({}, "ABA"), false);
+	assert.equal(solve({}).length, 2 * 20 + 2); // 20 pairs of neighbours, each way, then ABE and ABC
+});
+
+test("wrap: edges wrap around, so every cell has 8 neighbours", () => {
+	const rules = { wrap: true };
+	assert.equal(solves(rules, "AC"), true);
+	assert.equal(solves(rules, "AI"), true);
+	assert.equal(solves(rules, "AG"), true);
+	assert.deepEqual(compileRules(BOARD, rules).neighbours.map((list) => list.length), new Array(9).fill(8));
+});
+
+test("orthogonal moves drop the diagonals", () => {
+	const rules = { moves: "orthogonal" };
+	assert.equal(solves(rules, "AB"), true);
+	assert.equal(solves(rules, "AE"), false);
+	assert.equal(solves(rules, "ABE"), true);
+});
+
+test("notConsecutive reuse allows coming back to a cell, but not staying on it", () => {
+	const rules = { reuse: "notConsecutive" };
+	assert.equal(solves(rules, "ABA"), true);
+	assert.equal(solves(rules, "AA"), false);
+	assert.ok(solve(rules).includes("ABA"));
+	assert.equal(isValidPath(BOARD, "ABA", [[0, 0], [0, 1], [0, 0]], {}), false);
+});
+
+test("a required cell or letter must be on every word's path", () => {
+	const center = { requiredCell: [1, 1] };
+	assert.equal(solves(center, "AB"), false);
+	assert.equal(solves(center, "ABE"), true);
+	assert.ok(solve(center).every((word) => word.includes("E")));
+
+	const letter = { requiredLetter: "c" };
+	assert.equal(solves(letter, "BC"), true);
+	assert.equal(solves(letter, "AB"), false);
+	assert.deepEqual(solve(letter), ["BC", "CB", "CE", "CF", "EC", "FC", "ABC"]);
+});
+
+test("blocked cells cannot be used", () => {
+	const rules = { blockedCells: [[0, 0], [2, 2]] };
+	assert.equal(solves(rules, "AB"), false);
+	assert.equal(solves(rules, "BE"), true);
+	assert.ok(solve(rules).every((word) => !word.includes("A") && !word.includes("I")));
+	assert.equal(isValidPath(BOARD, "AB", [[0, 0], [0, 1]], rules), false);
+});
+
+test("compileRules rejects unknown values and cells off the board", () => {
+	assert.throws(() => compileRules(BOARD, { moves: "diagonal" }), /moves must be/);
+	assert.throws(() => compileRules(BOARD, { reuse: "always" }), /reuse must be/);
+	assert.throws(() => compileRules(BOARD, { requiredCell: [3, 0] }), /required cell must be a \[row, col\] cell on the 3x3 board/);
+	assert.throws(() => compileRules(BOARD, { blockedCells: [[0]] }), /blocked cell/);
+});
+
+test("resolveVariant places the centre and corners for the board size", () => {
+	assert.deepEqual(resolveVariant("required", { rows: 5, cols: 5 }).rules, { requiredCell: [2, 2] });
+	assert.deepEqual(resolveVariant("required", { rows: 4, cols: 4 }).rules, { requiredCell: [2, 2] });
+	assert.deepEqual(resolveVariant("blocked", { rows: 4, cols: 4 }).rules, {
+		blockedCells: [[0, 0], [0, 3], [3, 0], [3, 3]],
+	});
+	assert.equal(resolveVariant(null, SIZE).id, "classic");
+	assert.throws(() => resolveVariant("hexagonal", SIZE), /Unknown variant "hexagonal"/);
+});
+
+test("resolveVariant scoring: the variant's own table, else the board size's", () => {
+	assert.equal(resolveVariant("classic", { rows: 4, cols: 4 }).scoring, CLASSIC_SCORING);
+	assert.equal(resolveVariant("blocked", { rows: 5, cols: 5 }).scoring, BIG_SCORING);
+	assert.equal(resolveVariant("torus", { rows: 4, cols: 4 }).scoring, VARIANTS.torus.scoring);
+	for (const id of Object.keys(VARIANTS)) {
+		assert.ok(resolveVariant(id, { rows: 4, cols: 4 }).scoring.minLength >= 3, id);
+	}
+});
+
+test("--required and --blocked overrides replace the variant's own cells", () => {
+	const size = { rows: 4, cols: 4 };
+	assert.deepEqual(resolveVariant("required", size, parseRequired("ż", size)).rules, { requiredLetter: "Ż" });
+	assert.deepEqual(resolveVariant("torus", size, parseRequired("1:4", size)).rules, { wrap: true, requiredCell: [0, 3] });
+	assert.deepEqual(resolveVariant("blocked", size, { blockedCells: parseCellList("1:1, 2:2", size) }).rules, {
+		blockedCells: [[0, 0], [1, 1]],
+	});
+});
+
+test("cell specs count from 1 and must be on the board", () => {
+	assert.deepEqual(parseCell(" 2:3 ", SIZE), [1, 2]);
+	assert.deepEqual(parseCellList("1:1,3:3,", SIZE), [[0, 0], [2, 2]]);
+	assert.throws(() => parseCell("0:1", SIZE), /outside the 3x3 board/);
+	assert.throws(() => parseCell("4:1", SIZE), /outside/);
+	assert.throws(() => parseCell("a:b", SIZE), /expected row:col/);
+	assert.throws(() => parseRequired(" ", SIZE), /must not be empty/);
+});
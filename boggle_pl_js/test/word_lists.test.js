@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+const { dawgWords } = require("../dawg");
+const { createWordFilter, describeWordFilter, forEachEntry, loadWordListDawg } = require("../word_lists");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "boggle_pl-word-lists-test-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeList(name, text) {
+	const file = path.join(tempDir, name);
+	fs.writeFileSync(file, name.endsWith(".gz") ? zlib.gzipSync(text) : text);
+	return file;
+}
+
+test("sjp.pl-style lines give one entry per comma-separated item", async () => {
+	const file = writeList("sjp.txt", "kot, kota, kotem\r\n\n a \nnos,\n");
+	const entries = [];
+	const counts = await forEachEntry(file, (entry) => entries.push(entry));
+	assert.deepEqual(entries, ["kot", "kota", "kotem", "a", "nos"]);
+	assert.deepEqual(counts, { lines: 4, entries: 5 });
+});
+
+test("gzip word lists are read like plain ones", async () => {
+	const { dawg, stats } = await loadWordListDawg(writeList("words.txt.gz", "kot\nżaba\n"));
+	assert.deepEqual(Array.from(dawgWords(dawg)), ["KOT", "ŻABA"]);
+	assert.deepEqual(stats, { lines: 2, entries: 2, kept: 2 });
+});
+
+test("without a filter every word is kept, one-letter words too", async () => {
+	const { dawg, stats } = await loadWordListDawg(writeList("short.txt", "a\ni\nw\nkot\n"));
+	assert.deepEqual(Array.from(dawgWords(dawg)), ["A", "I", "KOT", "W"]);
+	assert.equal(stats.kept, 4);
+	assert.equal(describeWordFilter({}), "");
+});
+
+test("word filters drop words by length, letters and dice faces", () => {
+	const byLength = createWordFilter({ minLength: 3, maxLength: 4 });
+	assert.deepEqual(["A", "OS", "KOT", "KOTA", "KOTEM"].filter(byLength), ["KOT", "KOTA"]);
+
+	const byLetters = createWordFilter({ letters: "AKOT" });
+	assert.deepEqual(["KOT", "KOTA", "KOTEM"].filter(byLetters), ["KOT", "KOTA"]);
+
+	const byFaces = createWordFilter({ faces: ["K", "O", "T", "A", "SZ"], maxCells: 3 });
+	assert.deepEqual(["KOT", "SZOK", "KOTA", "SOK"].filter(byFaces), ["KOT", "SZOK"]);
+
+	assert.equal(describeWordFilter({ minLength: 3, maxLength: 4, letters: "TOKA" }), "letters=AKOT;min=3;max=4");
+	assert.equal(describeWordFilter({ minLength: 1 }), "");
+});
@@ -0,0 +1,295 @@
+"use strict";
+
+// DAWG cache: one file per dictionary and normalization in the user's cache directory.
+// - Cache directory: $BOGGLE_PL_CACHE_DIR, else $XDG_CACHE_HOME/boggle_pl (~/.cache/boggle_pl),
+//   %LOCALAPPDATA%\boggle_pl\cache on Windows, ~/Library/Caches/boggle_pl on macOS.
+// - Entries are named by dictionary path and cache key, so finding one needs no hashing. The
+//   dictionary's size and mtime are checked first; its content is hashed only when they differ.
+// - Entry layout: "BOGLCACH", container version (u32 LE), metadata length (u32 LE), metadata JSON,
+//   then the DAWG bytes (dawg.js format). The metadata holds the DAWG version and a SHA-256 of
+//   its bytes, checked on every load.
+// - Older versions kept .trie_cache_<hash>.bin next to the dictionary; removeLegacyCaches deletes them.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DAWG_VERSION, Dawg, readDawgHeader } = require("./dawg");
+
+const CACHE_MAGIC = "BOGLCACH";
+// 2: one-letter words are no longer dropped from unfiltered dictionaries
+const CACHE_VERSION = 2;
+const PREFIX_SIZE = 16;
+const ENTRY_EXTENSION = ".bin";
+const LEGACY_CACHE_PATTERN = /^\.trie_cache_[0-9a-f]{16}\.bin$/;
+const HASH_CHUNK_SIZE = 1 << 20;
+
+/**
+ * Directory for caches that can be rebuilt at any time.
+ * @returns {string}
+ */
+function getCacheDir() {
+	if (process.env.BOGGLE_PL_CACHE_DIR) return process.env.BOGGLE_PL_CACHE_DIR;
+	if (process.platform === "win32" && process.env.LOCALAPPDATA) {
+		return path.join(process.env.LOCALAPPDATA, "boggle_pl", "cache");
+	}
+	if (process.platform === "darwin") {
+		return path.join(os.homedir(), "Library", "Caches", "boggle_pl");
+	}
+	const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+	return path.join(base, "boggle_pl");
+}
+
+/**
+ * Cache file for a dictionary and cache key (see filteredCacheKey in dictionary_loader.js).
+ * @returns {string}
+ */
+function getCacheEntryPath(dictPath, cacheKey = "") {
+	const name = crypto.createHash("sha256").update(JSON.stringify([path.resolve(dictPath), cacheKey]))
+		.digest("hex").substring(0, 16);
+	return path.join(getCacheDir(), name + ENTRY_EXTENSION);
+}
+
+// Hashes already computed in this run, keyed by path, cacheKey, size and mtime (so an edited
+// dictionary is hashed again)
+const contentHashes = new Map();
+
+/**
+ * Hash of a dictionary's raw bytes and cache key, read in chunks.
+ * cacheKey describes how words were normalized, so each normalization of the same file gets its
+ * own hash (no key gives the hash of the bytes alone). Compressed lists are hashed as stored.
+ * @returns {string} 16 hex digits
+ */
+function hashDictionary(dictPath, cacheKey = "") {
+	const stats = fs.statSync(dictPath);
+	const key = JSON.stringify([path.resolve(dictPath), cacheKey, stats.size, stats.mtimeMs]);
+	if (!contentHashes.has(key)) {
+		const hash = crypto.createHash("sha256");
+		const chunk = Buffer.alloc(HASH_CHUNK_SIZE);
+		const fd = fs.openSync(dictPath, "r");
+		try {
+			let length;
+			while ((length = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+				hash.update(chunk.subarray(0, length));
+			}
+		} finally {
+			fs.closeSync(fd);
+		}
+		if (cacheKey) hash.update(cacheKey);
+		contentHashes.set(key, hash.digest("hex").substring(0, 16));
+	}
+	return contentHashes.get(key);
+}
+
+function checksum(bytes) {
+	return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+/**
+ * Read a cache entry and check its checksum.
+ * @param {string} file
+ * @returns {{ meta: object, dawgBytes: Buffer }}
+ * @throws {Error} with code "EBADCACHE" (not a cache file, damaged) or "EOLDCACHE" (older format)
+ */
+function readCacheEntry(file) {
+	const bytes = fs.readFileSync(file);
+	const fail = (code, message) => Object.assign(new Error(message), { code });
+	if (bytes.length < PREFIX_SIZE || bytes.toString("latin1", 0, CACHE_MAGIC.length) !== CACHE_MAGIC) {
+		throw fail("EBADCACHE", "not a cache entry");
+	}
+	const version = bytes.readUInt32LE(8);
+	if (version !== CACHE_VERSION) {
+		throw fail("EOLDCACHE", `cache format version ${version} (expected ${CACHE_VERSION})`);
+	}
+	const metaEnd = PREFIX_SIZE + bytes.readUInt32LE(12);
+	let meta;
+	try {
+		meta = JSON.parse(bytes.toString("utf8", PREFIX_SIZE, metaEnd));
+	} catch (_err) {
+		throw fail("EBADCACHE", "metadata is damaged");
+	}
+	if (meta.dawgVersion !== DAWG_VERSION) {
+		throw fail("EOLDCACHE", `DAWG version ${meta.dawgVersion} (expected ${DAWG_VERSION})`);
+	}
+	const dawgBytes = bytes.subarray(metaEnd);
+	if (dawgBytes.length !== meta.dawgBytes || checksum(dawgBytes) !== meta.dawgChecksum) {
+		throw fail("EBADCACHE", "DAWG checksum does not match");
+	}
+	return { meta, dawgBytes };
+}
+
+/**
+ * Write a cache entry for a dictionary, replacing any previous one atomically.
+ * @param {string} file
+ * @param {Buffer} dawgBytes from dawg.toBuffer()
+ * @param {{ dictionary: string, cacheKey: string, size: number, mtimeMs: number, contentHash: string }} source
+ * @returns {string} the file written
+ */
+function writeCacheEntry(file, dawgBytes, source) {
+	const meta = Object.assign({}, source, {
+		dawgVersion: DAWG_VERSION,
+		dawgBytes: dawgBytes.length,
+		dawgChecksum: checksum(dawgBytes),
+		created: new Date().toISOString(),
+	});
+	const metaBytes = Buffer.from(JSON.stringify(meta), "utf8");
+	const prefix = Buffer.alloc(PREFIX_SIZE);
+	prefix.write(CACHE_MAGIC, 0, "latin1");
+	prefix.writeUInt32LE(CACHE_VERSION, 8);
+	prefix.writeUInt32LE(metaBytes.length, 12);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const temp = `${file}.${process.pid}.tmp`;
+	fs.writeFileSync(temp, Buffer.concat([prefix, metaBytes, dawgBytes]));
+	fs.renameSync(temp, file);
+	return file;
+}
+
+function describeSource(dictPath, cacheKey) {
+	const stats = fs.statSync(dictPath);
+	return { dictionary: path.resolve(dictPath), cacheKey, size: stats.size, mtimeMs: stats.mtimeMs };
+}
+
+/**
+ * Look up the cached DAWG of a dictionary.
+ * Outdated or damaged entries, and entries of a dictionary whose content changed, are deleted.
+ * @returns {{ status: "hit"|"missing"|"changed"|"outdated"|"damaged", file: string,
+ *   dawg?: Dawg, contentHash?: string, hashed: boolean, detail?: string }}
+ *   contentHash: hashDictionary() of the dictionary, as recorded in the entry
+ *   hashed: whether the dictionary had to be hashed (its size or mtime changed)
+ * @throws {Error} on file system errors other than a missing entry (e.g. permissions)
+ */
+function lookupCache(dictPath, cacheKey = "") {
+	const file = getCacheEntryPath(dictPath, cacheKey);
+	let entry;
+	try {
+		entry = readCacheEntry(file);
+	} catch (err) {
+		if (err.code === "ENOENT") return { status: "missing", file, hashed: false };
+		if (err.code !== "EBADCACHE" && err.code !== "EOLDCACHE") throw err;
+		fs.unlinkSync(file);
+		return { status: err.code === "EOLDCACHE" ? "outdated" : "damaged", file, hashed: false, detail: err.message };
+	}
+	const source = describeSource(dictPath, cacheKey);
+	const { meta, dawgBytes } = entry;
+	let hashed = false;
+	if (meta.size !== source.size || meta.mtimeMs !== source.mtimeMs) {
+		hashed = true;
+		const contentHash = hashDictionary(dictPath, cacheKey);
+		if (contentHash !== meta.contentHash) {
+			fs.unlinkSync(file);
+			return { status: "changed", file, hashed };
+		}
+		// Same content with a new mtime (e.g. copied or touched): record it to skip hashing next time
+		writeCacheEntry(file, dawgBytes, Object.assign(source, { contentHash }));
+	}
+	return { status: "hit", file, hashed, contentHash: meta.contentHash, dawg: Dawg.fromBuffer(dawgBytes) };
+}
+
+/**
+ * Store the DAWG of a dictionary in the cache.
+ * @returns {string} the file written
+ */
+function storeCache(dictPath, cacheKey, dawg) {
+	const source = describeSource(dictPath, cacheKey);
+	source.contentHash = hashDictionary(dictPath, cacheKey);
+	return writeCacheEntry(getCacheEntryPath(dictPath, cacheKey), dawg.toBuffer(), source);
+}
+
+/**
+ * Delete caches that older versions wrote next to the dictionary.
+ * @returns {string[]} the files removed
+ */
+function removeLegacyCaches(dictPath) {
+	const dir = path.dirname(path.resolve(dictPath));
+	let names;
+	try {
+		names = fs.readdirSync(dir);
+	} catch (_err) {
+		return [];
+	}
+	const removed = [];
+	for (const name of names.filter((n) => LEGACY_CACHE_PATTERN.test(n))) {
+		fs.unlinkSync(path.join(dir, name));
+		removed.push(path.join(dir, name));
+	}
+	return removed;
+}
+
+/**
+ * Every entry in the cache directory, oldest first.
+ * @returns {{ file: string, bytes: number, meta: object|null, wordCount: number|null, error: string|null }[]}
+ *   meta and wordCount are null (and error set) for entries that cannot be read
+ */
+function listCacheEntries() {
+	const dir = getCacheDir();
+	let names;
+	try {
+		names = fs.readdirSync(dir);
+	} catch (err) {
+		if (err.code === "ENOENT") return [];
+		throw err;
+	}
+	const entries = [];
+	for (const name of names.filter((n) => n.endsWith(ENTRY_EXTENSION))) {
+		const file = path.join(dir, name);
+		const item = { file, bytes: fs.statSync(file).size, meta: null, wordCount: null, error: null };
+		try {
+			const { meta, dawgBytes } = readCacheEntry(file);
+			item.meta = meta;
+			item.wordCount = readDawgHeader(dawgBytes).wordCount;
+		} catch (err) {
+			item.error = err.message;
+		}
+		entries.push(item);
+	}
+	return entries.sort((a, b) => String(a.meta && a.meta.created).localeCompare(String(b.meta && b.meta.created)));
+}
+
+/**
+ * Check an entry from listCacheEntries against its dictionary.
+ * @returns {{ status: "ok"|"changed"|"orphaned"|"damaged", detail: string }}
+ *   changed: the dictionary's content differs; orphaned: the dictionary is gone
+ */
+function verifyCacheEntry(entry) {
+	if (!entry.meta) return { status: "damaged", detail: entry.error };
+	const { meta } = entry;
+	let source;
+	try {
+		source = describeSource(meta.dictionary, meta.cacheKey);
+	} catch (err) {
+		if (err.code === "ENOENT") return { status: "orphaned", detail: `${meta.dictionary} no longer exists` };
+		throw err;
+	}
+	if (meta.size === source.size && meta.mtimeMs === source.mtimeMs) {
+		return { status: "ok", detail: "size and mtime match" };
+	}
+	if (hashDictionary(meta.dictionary, meta.cacheKey) === meta.contentHash) {
+		return { status: "ok", detail: "content matches (mtime changed)" };
+	}
+	return { status: "changed", detail: `${meta.dictionary} changed since it was cached` };
+}
+
+/**
+ * Delete every cache entry.
+ * @returns {number} entries removed
+ */
+function clearCache() {
+	const entries = listCacheEntries();
+	for (const entry of entries) fs.unlinkSync(entry.file);
+	return entries.length;
+}
+
+module.exports = {
+	CACHE_VERSION,
+	getCacheDir,
+	getCacheEntryPath,
+	hashDictionary,
+	readCacheEntry,
+	lookupCache,
+	storeCache,
+	removeLegacyCaches,
+	listCacheEntries,
+	verifyCacheEntry,
+	clearCache,
+};
@@ -0,0 +1,138 @@
+"use strict";
+
+// Game variants: named board rules (see compileRules in boggle_pl.js) with their own scoring.
+// - Rules change how words may be traced: wrap-around edges, orthogonal moves, reused cells,
+//   a cell or letter every word must use, cells no word may use.
+// - Scoring tables follow scoring.js ({minLength, points}); null means "by board size" as in classic play.
+// - Cells in CLI/URL specs are "row:col" counted from 1; rules use 0-based [row, col].
+
+const { getScoringForBoardSize } = require("./scoring");
+
+/**
+ * Registry entries.
+ * - rules: board rules; requiredCell "center" and blockedCells "corners" are resolved per board size
+ * - scoring: scoring table, or null for the classic table of the board size
+ */
+const VARIANTS = {
+	classic: {
+		name: "Classic",
+		description: "8 neighbours, each cell once",
+		rules: {},
+		scoring: null,
+	},
+	torus: {
+		name: "Toroidal",
+		description: "edges wrap around, so every cell has 8 neighbours",
+		rules: { wrap: true },
+		scoring: { minLength: 4, points: { 4: 1, 5: 2, 6: 3, 7: 5, 8: 11 } },
+	},
+	orthogonal: {
+		name: "Orthogonal",
+		description: "only up, down, left and right moves",
+		rules: { moves: "orthogonal" },
+		scoring: { minLength: 3, points: { 3: 1, 4: 2, 5: 3, 6: 5, 7: 8, 8: 13 } },
+	},
+	reuse: {
+		name: "Reuse",
+		description: "a cell may be used again, but not twice in a row",
+		rules: { reuse: "notConsecutive" },
+		scoring: { minLength: 4, points: { 4: 1, 5: 1, 6: 2, 7: 3, 8: 5, 9: 11 } },
+	},
+	required: {
+		name: "Required cell",
+		description: "every word must use the centre cell, or the --required cell or letter",
+		rules: { requiredCell: "center" },
+		scoring: { minLength: 3, points: { 3: 1, 4: 2, 5: 3, 6: 4, 7: 6, 8: 11 } },
+	},
+	blocked: {
+		name: "Blocked cells",
+		description: "the corner cells, or the --blocked cells, may not be used",
+		rules: { blockedCells: "corners" },
+		scoring: null,
+	},
+};
+
+const DEFAULT_VARIANT = "classic";
+
+/**
+ * Parse a 1-based "row:col" cell.
+ * @returns {number[]} 0-based [row, col]
+ * @throws {Error} if malformed or outside the board
+ */
+function parseCell(spec, size) {
+	const match = /^(\d+):(\d+)$/.exec(String(spec).trim());
+	if (!match) throw new Error(`Invalid cell "${spec}", expected row:col (counted from 1)`);
+	const row = Number(match[1]);
+	const col = Number(match[2]);
+	if (row < 1 || row > size.rows || col < 1 || col > size.cols) {
+		throw new Error(`Cell ${spec} is outside the ${size.rows}x${size.cols} board`);
+	}
+	return [row - 1, col - 1];
+}
+
+/**
+ * Parse a comma-separated cell list like "1:1,4:4".
+ * @returns {number[][]} 0-based cells
+ */
+function parseCellList(spec, size) {
+	return String(spec).split(",").filter((part) => part.trim()).map((part) => parseCell(part, size));
+}
+
+/**
+ * Parse a required spec: a "row:col" cell, or otherwise a letter (face) such as "Ż".
+ * @returns {{requiredCell: number[]}|{requiredLetter: string}}
+ */
+function parseRequired(spec, size) {
+	const text = String(spec).trim();
+	if (/^\d+:\d+$/.test(text)) return { requiredCell: parseCell(text, size) };
+	if (!text) throw new Error("Required letter must not be empty");
+	return { requiredLetter: text.toUpperCase() };
+}
+
+/**
+ * Resolve a variant for a board size into concrete rules and scoring.
+ * @param {string} id variant key, e.g. "torus"
+ * @param {{rows: number, cols: number}} size
+ * @param {{ requiredCell?: number[], requiredLetter?: string, blockedCells?: number[][] }} overrides
+ *   replace the variant's own requirement/blocked cells (and work with any variant)
+ * @returns {{id: string, name: string, rules: object, scoring: {minLength: number, points: Object<number, number>}}}
+ * @throws {Error} on an unknown variant
+ */
+function resolveVariant(id, size, overrides) {
+	const key = id || DEFAULT_VARIANT;
+	const variant = VARIANTS[key];
+	if (!variant) {
+		throw new Error(`Unknown variant "${key}". Available: ${Object.keys(VARIANTS).join(", ")}`);
+	}
+	const rules = Object.assign({}, variant.rules);
+	if (rules.requiredCell === "center") {
+		rules.requiredCell = [Math.floor(size.rows / 2), Math.floor(size.cols / 2)];
+	}
+	if (rules.blockedCells === "corners") {
+		rules.blockedCells = [[0, 0], [0, size.cols - 1], [size.rows - 1, 0], [size.rows - 1, size.cols - 1]];
+	}
+	const opts = overrides || {};
+	if (opts.requiredCell || opts.requiredLetter) {
+		delete rules.requiredCell;
+		delete rules.requiredLetter;
+		if (opts.requiredCell) rules.requiredCell = opts.requiredCell;
+		if (opts.requiredLetter) rules.requiredLetter = opts.requiredLetter;
+	}
+	if (opts.blockedCells) rules.blockedCells = opts.blockedCells;
+
+	return {
+		id: key,
+		name: variant.name,
+		rules,
+		scoring: variant.scoring || getScoringForBoardSize(size),
+	};
+}
+
+module.exports = {
+	VARIANTS,
+	DEFAULT_VARIANT,
+	parseCell,
+	parseCellList,
+	parseRequired,
+	resolveVariant,
+};
@@ -0,0 +1,211 @@
+"use strict";
+
+// Minimal WebSocket (RFC 6455) server side, so the game server needs no packages.
+// - acceptWebSocket() completes the HTTP upgrade handshake and wraps the socket.
+// - Text messages only; fragmented messages are reassembled, pings answered.
+// - Client frames must be masked; oversized or malformed frames close the connection.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const OPCODES = {
+	CONTINUATION: 0x0,
+	TEXT: 0x1,
+	BINARY: 0x2,
+	CLOSE: 0x8,
+	PING: 0x9,
+	PONG: 0xa,
+};
+
+const CLOSE_CODES = {
+	NORMAL: 1000,
+	GOING_AWAY: 1001,
+	PROTOCOL_ERROR: 1002,
+	UNSUPPORTED_DATA: 1003,
+	TOO_BIG: 1009,
+};
+
+/**
+ * One WebSocket connection.
+ * Events: "message" (text: string), "close" (code: number).
+ */
+class WebSocket extends EventEmitter {
+	/**
+	 * @param {import("net").Socket} socket upgraded socket
+	 * @param {Buffer} [head] bytes already read past the handshake
+	 */
+	constructor(socket, head) {
+		super();
+		this.socket = socket;
+		this.open = true;
+		this.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+		this.fragments = [];
+		this.fragmentsSize = 0;
+		this.fragmentOpcode = null;
+		this.closeSent = false;
+		this.closeCode = CLOSE_CODES.GOING_AWAY;
+
+		socket.setNoDelay(true);
+		socket.on("data", (chunk) => this.onData(chunk));
+		socket.on("error", () => socket.destroy());
+		socket.on("close", () => {
+			this.open = false;
+			this.emit("close", this.closeCode);
+		});
+		if (this.buffer.length) setImmediate(() => this.onData(Buffer.alloc(0)));
+	}
+
+	/**
+	 * Send a text message; ignored once the connection is closing.
+	 * @param {string} text
+	 */
+	send(text) {
+		if (!this.open || this.closeSent) return;
+		this.writeFrame(OPCODES.TEXT, Buffer.from(String(text), "utf8"));
+	}
+
+	/**
+	 * Start the closing handshake and end the socket.
+	 * @param {number} [code]
+	 * @param {string} [reason]
+	 */
+	close(code = CLOSE_CODES.NORMAL, reason = "") {
+		if (!this.open || this.closeSent) return;
+		const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+		payload.writeUInt16BE(code, 0);
+		payload.write(reason, 2, "utf8");
+		this.writeFrame(OPCODES.CLOSE, payload);
+		this.closeSent = true;
+		this.closeCode = code;
+		this.socket.end();
+		// Do not wait forever for a peer that never closes its side
+		setTimeout(() => this.socket.destroy(), 1000).unref();
+	}
+
+	writeFrame(opcode, payload) {
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		} else if (payload.length < 0x10000) {
+			header = Buffer.alloc(4);
+			header[0] = 0x80 | opcode;
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[0] = 0x80 | opcode;
+			header[1] = 127;
+			header.writeUInt32BE(0, 2);
+			header.writeUInt32BE(payload.length, 6);
+		}
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	onData(chunk) {
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+		while (this.open && !this.closeSent && this.buffer.length >= 2) {
+			const buf = this.buffer;
+			const fin = (buf[0] & 0x80) !== 0;
+			const opcode = buf[0] & 0x0f;
+			const masked = (buf[1] & 0x80) !== 0;
+			let length = buf[1] & 0x7f;
+			let offset = 2;
+			if (length === 126) {
+				if (buf.length < 4) return;
+				length = buf.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (buf.length < 10) return;
+				if (buf.readUInt32BE(2) !== 0) return this.fail(CLOSE_CODES.TOO_BIG, "message too big");
+				length = buf.readUInt32BE(6);
+				offset = 10;
+			}
+			if (!masked) return this.fail(CLOSE_CODES.PROTOCOL_ERROR, "client frames must be masked");
+			if (length > MAX_MESSAGE_SIZE) return this.fail(CLOSE_CODES.TOO_BIG, "message too big");
+			if (buf.length < offset + 4 + length) return;
+
+			const mask = buf.subarray(offset, offset + 4);
+			const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+			for (let i = 0; i < payload.length; i += 1) {
+				payload[i] ^= mask[i & 3];
+			}
+			this.buffer = buf.subarray(offset + 4 + length);
+			this.onFrame(fin, opcode, payload);
+		}
+	}
+
+	onFrame(fin, opcode, payload) {
+		switch (opcode) {
+			case OPCODES.PING:
+				if (!this.closeSent) this.writeFrame(OPCODES.PONG, payload);
+				return;
+			case OPCODES.PONG:
+				return;
+			case OPCODES.CLOSE:
+				this.close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.NORMAL);
+				return;
+			case OPCODES.TEXT:
+			case OPCODES.BINARY:
+				if (this.fragmentOpcode !== null) return this.fail(CLOSE_CODES.PROTOCOL_ERROR, "expected a continuation frame");
+				this.fragmentOpcode = opcode;
+				break;
+			case OPCODES.CONTINUATION:
+				if (this.fragmentOpcode === null) return this.fail(CLOSE_CODES.PROTOCOL_ERROR, "unexpected continuation frame");
+				break;
+			default:
+				return this.fail(CLOSE_CODES.PROTOCOL_ERROR, `unknown opcode ${opcode}`);
+		}
+
+		this.fragments.push(payload);
+		this.fragmentsSize += payload.length;
+		if (this.fragmentsSize > MAX_MESSAGE_SIZE) return this.fail(CLOSE_CODES.TOO_BIG, "message too big");
+		if (!fin) return;
+
+		const message = Buffer.concat(this.fragments);
+		const messageOpcode = this.fragmentOpcode;
+		this.fragments = [];
+		this.fragmentsSize = 0;
+		this.fragmentOpcode = null;
+		if (messageOpcode !== OPCODES.TEXT) return this.fail(CLOSE_CODES.UNSUPPORTED_DATA, "only text messages are supported");
+		this.emit("message", message.toString("utf8"));
+	}
+
+	fail(code, reason) {
+		this.close(code, reason);
+	}
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP "upgrade" event.
+ * @param {import("http").IncomingMessage} req
+ * @param {import("net").Socket} socket
+ * @param {Buffer} head
+ * @returns {WebSocket|null} null if the request is not a valid WebSocket upgrade (a 400 is sent)
+ */
+function acceptWebSocket(req, socket, head) {
+	const key = req.headers["sec-websocket-key"];
+	const upgrade = String(req.headers.upgrade || "").toLowerCase();
+	if (upgrade !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+		socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+		return null;
+	}
+	const accept = crypto.createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+	socket.write([
+		"HTTP/1.1 101 Switching Protocols",
+		"Upgrade: websocket",
+		"Connection: Upgrade",
+		`Sec-WebSocket-Accept: ${accept}`,
+		"",
+		"",
+	].join("\r\n"));
+	return new WebSocket(socket, head);
+}
+
+module.exports = {
+	CLOSE_CODES,
+	WebSocket,
+	acceptWebSocket,
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+// Streaming word list reader: builds the DAWG line by line instead of holding the file in memory.
+// - Plain, gzip (.gz) and xz (.xz) files; compression is detected from the first bytes. xz needs the
+//   `xz` command, since Node has no built-in decoder.
+// - sjp.pl-style lines ("kot, kota, kotem") give one word per comma-separated entry.
+// - Filters drop words that can never be played: outside a letter set, outside length bounds,
+//   or not spellable with the dice faces. Fewer words also means a smaller DAWG.
+
+const fs = require("fs");
+const readline = require("readline");
+const zlib = require("zlib");
+const { spawn } = require("child_process");
+
+const { fewestFaces } = require("./boggle_pl");
+const { createStreamingDawgBuilder } = require("./dawg");
+const { wordListEntries } = require("./dictionaries");
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const XZ_MAGIC = [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00];
+
+/**
+ * Compression of a file, from its first bytes.
+ * @returns {"gzip"|"xz"|null}
+ */
+function detectCompression(filePath) {
+	const head = Buffer.alloc(XZ_MAGIC.length);
+	const fd = fs.openSync(filePath, "r");
+	let length;
+	try {
+		length = fs.readSync(fd, head, 0, head.length, 0);
+	} finally {
+		fs.closeSync(fd);
+	}
+	const startsWith = (magic) => length >= magic.length && magic.every((byte, i) => head[i] === byte);
+	if (startsWith(GZIP_MAGIC)) return "gzip";
+	if (startsWith(XZ_MAGIC)) return "xz";
+	return null;
+}
+
+/**
+ * Open a word list as a stream of decompressed bytes.
+ * For xz files the stream has an `exited` promise that rejects if xz fails, even after output ended.
+ * @returns {import("stream").Readable}
+ */
+function openWordListStream(filePath) {
+	const compression = detectCompression(filePath);
+	if (compression === "gzip") {
+		return fs.createReadStream(filePath).pipe(zlib.createGunzip());
+	}
+	if (compression === "xz") {
+		const xz = spawn("xz", ["--decompress", "--stdout", filePath], { stdio: ["ignore", "pipe", "pipe"] });
+		let stderr = "";
+		xz.stderr.on("data", (data) => {
+			stderr += data;
+		});
+		xz.stdout.exited = new Promise((resolve, reject) => {
+			xz.on("error", (err) => {
+				reject(new Error(err.code === "ENOENT"
+					? `reading ${filePath} needs the xz command (install xz-utils, or decompress the file first)`
+					: err.message));
+			});
+			xz.on("close", (code) => {
+				if (code) reject(new Error(`xz failed on ${filePath}: ${stderr.trim() || `exit code ${code}`}`));
+				else resolve();
+			});
+		});
+		return xz.stdout;
+	}
+	return fs.createReadStream(filePath);
+}
+
+/**
+ * Call onEntry for every entry of a word list, as split by wordListEntries (dictionaries.js).
+ * @param {string} filePath
+ * @param {function(string): void} onEntry
+ * @returns {Promise<{ lines: number, entries: number }>}
+ */
+async function forEachEntry(filePath, onEntry) {
+	const input = openWordListStream(filePath);
+	const lines = readline.createInterface({ input, crlfDelay: Infinity });
+	const counts = { lines: 0, entries: 0 };
+	// readline does not forward stream errors (e.g. bad gzip data), so race them
+	const failed = new Promise((_resolve, reject) => input.on("error", reject));
+	failed.catch(() => {}); // an error after the last line is not worth crashing for
+	const read = (async () => {
+		for await (const line of lines) {
+			counts.lines += 1;
+			for (const entry of wordListEntries(line)) {
+				counts.entries += 1;
+				onEntry(entry);
+			}
+		}
+	})();
+	await Promise.race([Promise.all([read, input.exited]), failed]);
+	return counts;
+}
+
+/**
+ * Build a word filter. Options (all optional):
+ * - letters: allowed characters (string or iterable); words with any other character are dropped
+ * - faces: dice faces (e.g. ["A", "CZ", "QU"]); words that cannot be cut into faces are dropped
+ * - minLength: fewest letters; maxLength: most letters
+ * - maxCells: most faces a word may take (e.g. the number of cells on the board), needs faces
+ * Words are compared as given, so letters and faces must be normalized like the words.
+ * @returns {function(string): boolean}
+ */
+function createWordFilter(options = {}) {
+	const letters = options.letters ? new Set(Array.from(options.letters)) : null;
+	const faces = options.faces ? Array.from(new Set(options.faces)).filter(Boolean) : null;
+	const minLength = options.minLength || 0;
+	const maxLength = options.maxLength || Infinity;
+	const maxCells = options.maxCells || Infinity;
+	return (word) => {
+		const chars = Array.from(word);
+		if (chars.length < minLength || chars.length > maxLength) return false;
+		if (letters && chars.some((ch) => !letters.has(ch))) return false;
+		if (faces && fewestFaces(word, faces) > maxCells) return false;
+		return true;
+	};
+}
+
+/**
+ * Stable text form of filter options, for cache keys ("" when nothing is filtered).
+ */
+function describeWordFilter(options = {}) {
+	const parts = [];
+	if (options.letters) parts.push(`letters=${Array.from(new Set(Array.from(options.letters))).sort().join("")}`);
+	if (options.faces) parts.push(`faces=${Array.from(new Set(options.faces)).sort().join(",")}`);
+	if (options.minLength > 1) parts.push(`min=${options.minLength}`);
+	if (options.maxLength) parts.push(`max=${options.maxLength}`);
+	if (options.maxCells) parts.push(`cells=${options.maxCells}`);
+	return parts.join(";");
+}
+
+/**
+ * Stream a word list into a DAWG.
+ * @param {string} filePath
+ * @param {{ normalize?: function(string): string, filter?: object }} [options]
+ *   normalize: the dictionary's normalizer (default: upper-case); filter: createWordFilter options
+ * @returns {Promise<{ dawg: object, stats: { lines: number, entries: number, kept: number } }>}
+ */
+async function loadWordListDawg(filePath, options = {}) {
+	const normalize = options.normalize || ((word) => word.toUpperCase());
+	const keep = createWordFilter(options.filter);
+	const builder = createStreamingDawgBuilder();
+	let kept = 0;
+	const counts = await forEachEntry(filePath, (entry) => {
+		const word = normalize(entry);
+		if (!word || !keep(word)) return;
+		kept += 1;
+		builder.add(word);
+	});
+	return { dawg: builder.finish(), stats: { lines: counts.lines, entries: counts.entries, kept } };
+}
+
+module.exports = {
+	detectCompression,
+	openWordListStream,
+	forEachEntry,
+	createWordFilter,
+	describeWordFilter,
+	loadWordListDawg,
+};
@@ -0,0 +1,58 @@
+"use strict";
+
+// Service worker for new3.html: makes the board an installable app that works offline.
+// - The app shell (page, scripts, dice sets, manifest, icon) is cached on install.
+// - Dictionaries (boggle_pl_js/web_dictionaries/*.dawg, or word lists) are cached the first time
+//   a language is played and served from the cache afterwards; they are too big to refetch.
+// - Other same-origin requests are served from the cache and refreshed from the network.
+// Bump CACHE_NAME when the shell changes, so installs pick up the new files and drop old caches.
+
+const CACHE_NAME = "boggle-v2";
+const APP_SHELL = [
+	"new3.html",
+	"manifest.webmanifest",
+	"icon.svg",
+	"boggle_pl_js/boggle_pl.js",
+	"boggle_pl_js/boggle_pl.mjs",
+	"boggle_pl_js/dawg.js",
+	"boggle_pl_js/dice_sets.js",
+	"boggle_pl_js/dice_sets.json",
+	"boggle_pl_js/dictionaries.js",
+	"boggle_pl_js/game_settings.js",
+	"boggle_pl_js/scoring.js",
+	"boggle_pl_js/solver_worker.js",
+];
+
+function isDictionary(url) {
+	return url.pathname.includes("/web_dictionaries/") || url.pathname.endsWith(".txt");
+}
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+	event.waitUntil(caches.keys()
+		.then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+		.then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+	const request = event.request;
+	const url = new URL(request.url);
+	if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+	event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+		// new3.html?board=CODE is the cached new3.html
+		const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+		if (cached && isDictionary(url)) return cached;
+		const refresh = fetch(request).then((response) => {
+			// Missing compact dictionaries (404) are not cached, so the word list fallback is tried
+			if (response.ok) cache.put(request, response.clone());
+			return response;
+		});
+		if (!cached) return refresh;
+		event.waitUntil(refresh.catch(() => undefined));
+		return cached;
+	}));
+});